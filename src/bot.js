@@ -1,8 +1,26 @@
+const https = require('https');
 const { Telegraf, Markup } = require('telegraf');
 const database = require('./services/database');
 const geminiService = require('./services/gemini');
 const conversationService = require('./services/conversation');
+const documentService = require('./services/document');
+const quotaService = require('./services/quota');
+const feedbackService = require('./services/feedback');
+const moderationService = require('./services/moderation');
+const classifierService = require('./services/classifier');
+const i18n = require('./services/i18n');
 const securityMiddleware = require('./middleware/security');
+const { personas, getPersona, findPersonaByPrompt } = require('./config/personas');
+const {
+  getGenerationFields,
+  getGenerationColumn,
+  getGenerationValues,
+  isAllowedGenerationValue,
+  resolveGeneration
+} = require('./config/generation');
+
+// When the bot answers non-command messages in group chats (labels under group.policies)
+const GROUP_TRIGGER_POLICIES = ['mention', 'reply', 'all'];
 
 class TelegramBot {
   constructor() {
@@ -12,6 +30,14 @@ class TelegramBot {
     }
 
     this.bot = new Telegraf(this.token);
+    this.streamEditInterval = parseInt(process.env.STREAM_EDIT_INTERVAL) || 1500;
+    this.telegramMessageLimit = 4096;
+    this.streamMessageLimit = 4000; // Telegram limit is 4096, keep room for the cursor
+    this.showVoiceTranscript = process.env.SHOW_VOICE_TRANSCRIPT !== 'false';
+    this.broadcastRate = parseInt(process.env.BROADCAST_RATE_PER_SECOND) || 20; // Telegram allows ~30/s
+    this.pendingBroadcasts = new Map(); // admin Telegram ID -> text waiting for confirmation
+    this.broadcastInProgress = false;
+    this.maxQuoteLength = 4000; // characters of a replied-to message added to the prompt
     this.setupMiddleware();
     this.setupCommands();
     this.setupMessageHandlers();
@@ -19,286 +45,2452 @@ class TelegramBot {
   }
 
   setupMiddleware() {
+    // Ignore group messages that are not addressed to the bot
+    this.bot.use(this.groupTriggerMiddleware.bind(this));
+
+    // Resolve the reply language before any middleware answers the user
+    this.bot.use(this.localeMiddleware.bind(this));
+
+    // Notify admins when repeated violations trigger an automatic block
+    securityMiddleware.setAutoBlockHandler(this.notifyAutoBlock.bind(this));
+
     // Apply security middleware
     this.bot.use(securityMiddleware.rateLimitMiddleware.bind(securityMiddleware));
     this.bot.use(securityMiddleware.validateInputMiddleware.bind(securityMiddleware));
     this.bot.use(securityMiddleware.commandValidationMiddleware.bind(securityMiddleware));
 
-    // Logging middleware
-    this.bot.use(async (ctx, next) => {
-      const start = Date.now();
-      const userId = ctx.from?.id;
-      const username = ctx.from?.username;
-      const text = ctx.message?.text || '';
-      
-      console.log(`[${new Date().toISOString()}] User ${userId} (${username}): ${text.substring(0, 100)}`);
-      
-      await next();
-      
-      const duration = Date.now() - start;
-      console.log(`Request processed in ${duration}ms`);
-    });
+    // Logging middleware
+    this.bot.use(async (ctx, next) => {
+      const start = Date.now();
+      const userId = ctx.from?.id;
+      const username = ctx.from?.username;
+      const text = (ctx.message || ctx.editedMessage)?.text || '';
+      
+      console.log(`[${new Date().toISOString()}] User ${userId} (${username}): ${text.substring(0, 100)}`);
+      
+      await next();
+      
+      const duration = Date.now() - start;
+      console.log(`Request processed in ${duration}ms`);
+    });
+  }
+
+  setupCommands() {
+    // Start command
+    this.bot.command('start', async (ctx) => {
+      const user = await database.getOrCreateUser(ctx.from);
+      
+      const welcomeMessage = this.t(ctx, 'start.welcome', { name: ctx.from.first_name });
+
+      await this.sendLongMessage(ctx, welcomeMessage);
+    });
+
+    // Help command
+    this.bot.command('help', async (ctx) => {
+      const helpMessage = this.t(ctx, 'help.text');
+
+      await this.sendLongMessage(ctx, helpMessage);
+    });
+
+    // Clear command
+    this.bot.command('clear', async (ctx) => {
+      const user = await database.getOrCreateUser(ctx.from);
+      const isGroup = this.isGroupChat(ctx);
+
+      // Group history is shared, so only group admins may clear it
+      if (isGroup && !(await this.isGroupAdmin(ctx))) {
+        await ctx.reply(this.t(ctx, 'clear.groupAdminOnly'));
+        return;
+      }
+
+      const success = await conversationService.clearConversationHistory(user.id, isGroup ? ctx.chat.id : null);
+      
+      if (success) {
+        await ctx.reply(this.t(ctx, 'clear.success'));
+      } else {
+        await ctx.reply(this.t(ctx, 'clear.failed'));
+      }
+    });
+
+    // Stats command
+    this.bot.command('stats', async (ctx) => {
+      const user = await database.getOrCreateUser(ctx.from);
+      const summary = await conversationService.getConversationSummary(user.id);
+      const stats = await conversationService.getConversationStats(user.id);
+      const settings = await database.getUserSettings(user.id);
+
+      if (!summary || summary.messageCount === 0) {
+        await ctx.reply(this.t(ctx, 'stats.empty'));
+        return;
+      }
+
+      const locale = ctx.state.locale;
+      const number = (value) => i18n.formatNumber(locale, value);
+      const date = (value) => i18n.formatDate(locale, i18n.parseTimestamp(value));
+
+      let message = `${this.t(ctx, 'stats.title')}\n\n`;
+      message += `${this.t(ctx, 'stats.totalMessages', { count: number(summary.messageCount) })}\n`;
+      message += `${this.t(ctx, 'stats.firstInteraction', { date: date(summary.firstInteraction) })}\n`;
+      message += `${this.t(ctx, 'stats.lastInteraction', { date: date(summary.lastInteraction) })}\n\n`;
+
+      if (stats && stats.modelUsage.length > 0) {
+        message += `${this.t(ctx, 'stats.modelUsage')}\n`;
+        stats.modelUsage.forEach(usage => {
+          message += `${this.t(ctx, 'stats.modelUsageLine', {
+            model: usage.model,
+            count: number(usage.count),
+            percentage: usage.percentage,
+            tokens: number(usage.tokens)
+          })}\n`;
+        });
+        message += `\n`;
+      }
+
+      if (stats?.tokenUsage) {
+        message += `${this.t(ctx, 'stats.tokenUsage')}\n`;
+        message += `${this.t(ctx, 'stats.promptTokens', { count: number(stats.tokenUsage.promptTokens) })}\n`;
+        message += `${this.t(ctx, 'stats.completionTokens', { count: number(stats.tokenUsage.completionTokens) })}\n`;
+        message += `${this.t(ctx, 'stats.totalTokens', { count: number(stats.tokenUsage.totalTokens) })}\n`;
+        message += `${this.t(ctx, 'stats.todayTokens', { count: number(stats.tokenUsage.todayTokens) })}\n\n`;
+      }
+
+      const currentModel = this.getPreferredModel(settings);
+      
+      message += `${this.t(ctx, 'stats.botConfig')}\n`;
+      message += `${this.t(ctx, 'stats.model', { model: currentModel })}\n`;
+      message += this.t(ctx, 'stats.systemPrompt', { prompt: this.describeSystemPrompt(ctx, settings) });
+
+      await this.sendLongMessage(ctx, message);
+    });
+
+    // Quota command (admin dapat melihat kuota user lain: /quota <telegram_id>)
+    this.bot.command('quota', async (ctx) => {
+      const targetTelegramId = ctx.message.text.split(' ').slice(1).join(' ').trim();
+
+      if (targetTelegramId && await securityMiddleware.isAdmin(ctx.from.id)) {
+        const target = await database.getUserByTelegramId(targetTelegramId);
+        if (!target) {
+          await ctx.reply(this.t(ctx, 'common.userNotFound'));
+          return;
+        }
+
+        await this.sendQuotaStatus(ctx, target);
+        return;
+      }
+
+      const user = await database.getOrCreateUser(ctx.from);
+      await this.sendQuotaStatus(ctx, user);
+    });
+
+    // Set quota override command (admin only)
+    this.bot.command('setquota', async (ctx) => {
+      if (!await securityMiddleware.isAdmin(ctx.from.id)) {
+        await ctx.reply(this.t(ctx, 'common.noAdminAccess'));
+        return;
+      }
+
+      await this.setUserQuota(ctx, ctx.message.text.split(' ').slice(1));
+    });
+
+    // Settings command
+    this.bot.command('settings', async (ctx) => {
+      const user = await database.getOrCreateUser(ctx.from);
+      const settings = await database.getUserSettings(user.id);
+      
+      const keyboard = Markup.inlineKeyboard([
+        [Markup.button.callback(this.t(ctx, 'settings.buttonModel'), 'settings_model')],
+        [Markup.button.callback(this.t(ctx, 'settings.buttonPrompt'), 'settings_prompt')],
+        [Markup.button.callback(this.t(ctx, 'settings.buttonLanguage'), 'settings_language')],
+        ...getGenerationFields().map(field => [
+          Markup.button.callback(this.t(ctx, `generation.fields.${field}`), `gen_user_${field}`)
+        ]),
+        [Markup.button.callback(this.t(ctx, 'settings.buttonClear'), 'settings_clear')],
+        [Markup.button.callback(this.t(ctx, 'settings.buttonStats'), 'settings_stats')]
+      ]);
+
+      const currentModel = this.getPreferredModel(settings);
+
+      const message = `${this.t(ctx, 'settings.title')}\n\n` +
+                     `${this.t(ctx, 'settings.model', { model: currentModel })}\n` +
+                     `${this.t(ctx, 'settings.systemPrompt', { prompt: this.describeSystemPrompt(ctx, settings) })}\n` +
+                     `${this.t(ctx, 'settings.language', { language: this.t(ctx, 'language.name') })}\n` +
+                     `${this.describeGeneration(ctx, resolveGeneration(settings).preferences)}\n` +
+                     `${this.t(ctx, 'settings.userId', { id: user.id })}\n\n` +
+                     this.t(ctx, 'settings.choose');
+
+      await this.sendLongMessage(ctx, message, { reply_markup: keyboard.reply_markup });
+    });
+
+    // Models command
+    this.bot.command('models', async (ctx) => {
+      const user = await database.getOrCreateUser(ctx.from);
+      const settings = await database.getUserSettings(user.id);
+
+      await this.sendModelList(ctx, this.getPreferredModel(settings));
+    });
+
+    // Model command
+    this.bot.command('model', async (ctx) => {
+      const user = await database.getOrCreateUser(ctx.from);
+      const input = ctx.message.text.split(' ').slice(1).join(' ').trim();
+
+      if (!input) {
+        const settings = await database.getUserSettings(user.id);
+        await ctx.reply(this.t(ctx, 'model.current', { model: this.getPreferredModel(settings) }));
+        return;
+      }
+
+      await this.setUserModel(ctx, user, input);
+    });
+
+    // Prompt command
+    this.bot.command('prompt', async (ctx) => {
+      const user = await database.getOrCreateUser(ctx.from);
+      const args = ctx.message.text.split(' ').slice(1);
+      const subcommand = (args[0] || 'show').toLowerCase();
+
+      switch (subcommand) {
+        case 'show': {
+          const settings = await database.getUserSettings(user.id);
+          await this.sendPromptInfo(ctx, settings);
+          break;
+        }
+        case 'set': {
+          const validation = securityMiddleware.validateSystemPrompt(args.slice(1).join(' '), ctx.state.locale);
+          if (!validation.valid) {
+            await ctx.reply(validation.error);
+            return;
+          }
+
+          await database.updateUserSettings(user.id, { system_prompt: validation.prompt });
+          await ctx.reply(this.t(ctx, 'prompt.saved'));
+          break;
+        }
+        case 'reset':
+          await database.updateUserSettings(user.id, { system_prompt: null });
+          await ctx.reply(this.t(ctx, 'prompt.reset'));
+          break;
+        default:
+          await ctx.reply(this.t(ctx, 'prompt.usage'));
+      }
+    });
+
+    // New thread command
+    this.bot.command('new', async (ctx) => {
+      if (!(await this.requirePrivateChat(ctx))) {
+        return;
+      }
+
+      const user = await database.getOrCreateUser(ctx.from);
+      const title = this.parseThreadTitle(ctx.message.text);
+      const threadId = await conversationService.createThread(user.id, title);
+
+      if (!threadId) {
+        await ctx.reply(this.t(ctx, 'thread.createFailed'));
+        return;
+      }
+
+      await ctx.reply(title ? this.t(ctx, 'thread.created', { title }) : this.t(ctx, 'thread.createdUntitled'));
+    });
+
+    // Threads command
+    this.bot.command('threads', async (ctx) => {
+      if (!(await this.requirePrivateChat(ctx))) {
+        return;
+      }
+
+      const user = await database.getOrCreateUser(ctx.from);
+      await this.sendThreadList(ctx, user);
+    });
+
+    // Rename thread command
+    this.bot.command('rename', async (ctx) => {
+      if (!(await this.requirePrivateChat(ctx))) {
+        return;
+      }
+
+      const user = await database.getOrCreateUser(ctx.from);
+      const title = this.parseThreadTitle(ctx.message.text);
+
+      if (!title) {
+        await ctx.reply(this.t(ctx, 'thread.renameUsage'));
+        return;
+      }
+
+      const thread = await conversationService.getActiveThread(user.id);
+      const success = thread && await conversationService.renameThread(user.id, thread.id, title);
+      await ctx.reply(success ? this.t(ctx, 'thread.renamed', { title }) : this.t(ctx, 'thread.renameFailed'));
+    });
+
+    // Delete thread command
+    this.bot.command('delete', async (ctx) => {
+      if (!(await this.requirePrivateChat(ctx))) {
+        return;
+      }
+
+      const user = await database.getOrCreateUser(ctx.from);
+      const thread = await conversationService.getActiveThread(user.id);
+
+      if (!thread) {
+        await ctx.reply(this.t(ctx, 'thread.noActive'));
+        return;
+      }
+
+      const keyboard = Markup.inlineKeyboard([
+        [
+          Markup.button.callback(this.t(ctx, 'thread.buttonDelete'), `thread_delete_${thread.id}`),
+          Markup.button.callback(this.t(ctx, 'common.cancel'), 'thread_keep')
+        ]
+      ]);
+
+      await ctx.reply(
+        this.t(ctx, 'thread.confirmDelete', { title: this.getThreadTitle(ctx, thread) }),
+        { reply_markup: keyboard.reply_markup }
+      );
+    });
+
+    // Summary command
+    this.bot.command('summary', async (ctx) => {
+      const user = await database.getOrCreateUser(ctx.from);
+      const summary = await conversationService.getSummary(user.id, this.isGroupChat(ctx) ? ctx.chat.id : null);
+
+      if (!summary) {
+        await ctx.reply(this.t(ctx, 'summary.empty'));
+        return;
+      }
+
+      const updatedAt = i18n.formatDateTime(ctx.state.locale, i18n.parseTimestamp(summary.updated_at));
+      await this.sendLongMessage(ctx, `${this.t(ctx, 'summary.title', { date: updatedAt })}\n\n${summary.content}`);
+    });
+
+    // Docs command
+    this.bot.command('docs', async (ctx) => {
+      const user = await database.getOrCreateUser(ctx.from);
+      const subcommand = (ctx.message.text.split(' ')[1] || '').toLowerCase();
+
+      if (subcommand === 'off') {
+        await documentService.useDocument(user.id, null);
+        await ctx.reply(this.t(ctx, 'docs.off'));
+        return;
+      }
+
+      await this.sendDocumentList(ctx, user);
+    });
+
+    // Group settings command
+    this.bot.command('groupsettings', async (ctx) => {
+      if (!this.isGroupChat(ctx)) {
+        await ctx.reply(this.t(ctx, 'common.groupOnly'));
+        return;
+      }
+
+      if (!(await this.isGroupAdmin(ctx))) {
+        await ctx.reply(this.t(ctx, 'group.adminOnly'));
+        return;
+      }
+
+      await this.sendGroupSettings(ctx);
+    });
+
+    // Language command: /language, /language <id|en|auto>
+    this.bot.command('language', async (ctx) => {
+      const user = await database.getOrCreateUser(ctx.from);
+      const input = (ctx.message.text.split(' ')[1] || '').trim().toLowerCase();
+
+      if (!input) {
+        const settings = await database.getUserSettings(user.id);
+        await this.sendLanguageOptions(ctx, settings);
+        return;
+      }
+
+      await this.setUserLanguage(ctx, user, input);
+    });
+
+    // Ping command
+    this.bot.command('ping', async (ctx) => {
+      const start = Date.now();
+      const user = await database.getOrCreateUser(ctx.from);
+      const healthCheck = await geminiService.healthCheck({ userId: user.id });
+      const dbStats = await database.getStats();
+      const securityStats = await securityMiddleware.getSecurityStats();
+      const ping = Date.now() - start;
+
+      const number = (value) => i18n.formatNumber(ctx.state.locale, value);
+      const message = this.t(ctx, 'ping.text', {
+        ping,
+        gemini: healthCheck.status === 'healthy' ? '✅' : '❌',
+        users: number(dbStats.users),
+        totalMessages: number(dbStats.totalMessages),
+        todayMessages: number(dbStats.todayMessages),
+        blockedUsers: number(securityStats.blockedUsers)
+      });
+
+      await this.sendLongMessage(ctx, message);
+    });
+
+    // Block command (admin only): /block <telegram_id> [durasi] [alasan]
+    this.bot.command('block', async (ctx) => {
+      if (!await securityMiddleware.isAdmin(ctx.from.id)) {
+        await ctx.reply(this.t(ctx, 'common.noAdminAccess'));
+        return;
+      }
+
+      await this.blockFromCommand(ctx, ctx.message.text.split(' ').slice(1).filter(Boolean));
+    });
+
+    // Unblock command (admin only)
+    this.bot.command('unblock', async (ctx) => {
+      if (!await securityMiddleware.isAdmin(ctx.from.id)) {
+        await ctx.reply(this.t(ctx, 'common.noAdminAccess'));
+        return;
+      }
+
+      const telegramId = this.parseTelegramId(ctx.message.text.split(' ')[1]);
+      if (!telegramId) {
+        await ctx.reply(this.t(ctx, 'block.unblockUsage'));
+        return;
+      }
+
+      const wasBlocked = await securityMiddleware.unblockUser(telegramId, { unblockedBy: ctx.from.id });
+      await ctx.reply(this.t(ctx, wasBlocked ? 'block.unblocked' : 'block.notBlocked', { telegramId }));
+    });
+
+    // User profile command (admin only)
+    this.bot.command('user', async (ctx) => {
+      if (!await securityMiddleware.isAdmin(ctx.from.id)) {
+        await ctx.reply(this.t(ctx, 'common.noAdminAccess'));
+        return;
+      }
+
+      const telegramId = this.parseTelegramId(ctx.message.text.split(' ')[1]);
+      if (!telegramId) {
+        await ctx.reply(this.t(ctx, 'profile.usage'));
+        return;
+      }
+
+      await this.sendUserProfile(ctx, telegramId);
+    });
+
+    // Admins command: list, add and remove admins
+    this.bot.command('admins', async (ctx) => {
+      if (!await securityMiddleware.isAdmin(ctx.from.id)) {
+        await ctx.reply(this.t(ctx, 'common.noAdminAccess'));
+        return;
+      }
+
+      await this.handleAdminsCommand(ctx, ctx.message.text.split(' ').slice(1).filter(Boolean));
+    });
+
+    // Broadcast command (admin only), asks for confirmation before sending
+    this.bot.command('broadcast', async (ctx) => {
+      if (!await securityMiddleware.isAdmin(ctx.from.id)) {
+        await ctx.reply(this.t(ctx, 'common.noAdminAccess'));
+        return;
+      }
+
+      await this.prepareBroadcast(ctx, ctx.message.text.split(' ').slice(1).join(' ').trim());
+    });
+
+    // Moderation command (admin only): show, test or reload the rules
+    this.bot.command('moderation', async (ctx) => {
+      if (!await securityMiddleware.isAdmin(ctx.from.id)) {
+        await ctx.reply(this.t(ctx, 'common.noAdminAccess'));
+        return;
+      }
+
+      const [subcommand, ...rest] = ctx.message.text.split(' ').slice(1);
+      await this.handleModerationCommand(ctx, subcommand, rest.join(' ').trim());
+    });
+
+    // Admin command (if user is admin)
+    this.bot.command('admin', async (ctx) => {
+      if (!await securityMiddleware.isAdmin(ctx.from.id)) {
+        await ctx.reply(this.t(ctx, 'common.noAdminAccess'));
+        return;
+      }
+
+      const [subcommand, ...args] = ctx.message.text.split(' ').slice(1).filter(Boolean);
+
+      if (subcommand === 'events') {
+        await this.sendSecurityEvents(ctx, args[0]);
+        return;
+      }
+
+      if (subcommand === 'blocked') {
+        await this.sendBlockedUsers(ctx);
+        return;
+      }
+
+      if (subcommand === 'feedback') {
+        if (args[0] === 'export') {
+          await this.sendFeedbackExport(ctx, args[1]);
+        } else {
+          await this.sendFeedbackReport(ctx, args[0]);
+        }
+        return;
+      }
+
+      const stats = await database.getStats();
+      const securityStats = await securityMiddleware.getSecurityStats();
+      const conversationStats = await conversationService.getActiveConversationStats();
+
+      const number = (value) => i18n.formatNumber(ctx.state.locale, value);
+      const message = this.t(ctx, 'admin.panel', {
+        users: number(stats.users),
+        totalMessages: number(stats.totalMessages),
+        todayMessages: number(stats.todayMessages),
+        todayTokens: number(stats.todayTokens),
+        blockedUsers: number(securityStats.blockedUsers),
+        adminUsers: number(securityStats.adminUsers),
+        activeCacheEntries: number(conversationStats.activeCacheEntries),
+        store: securityStats.store
+      });
+
+      await this.sendLongMessage(ctx, message);
+    });
+  }
+
+  setupMessageHandlers() {
+    // Handle regular text messages
+    this.bot.on('text', async (ctx) => {
+      // Skip if it's a command
+      if (ctx.message.text.startsWith('/')) {
+        return;
+      }
+
+      const user = await database.getOrCreateUser(ctx.from);
+      const userMessage = securityMiddleware.sanitizeInput(this.stripBotMention(ctx, ctx.message.text));
+
+      if (!userMessage) {
+        return;
+      }
+
+      // Balasan ke pertanyaan "ada masukan?" disimpan sebagai komentar, bukan dijawab AI
+      if (await this.saveFeedbackComment(ctx, user, userMessage)) {
+        return;
+      }
+
+      await this.processMessage(ctx, user, userMessage);
+    });
+
+    // Editing the prompt of the latest turn re-runs the generation in place
+    this.bot.on('edited_message', async (ctx) => {
+      await this.handleEditedMessage(ctx);
+    });
+
+    // Handle photos (largest available size)
+    this.bot.on('photo', async (ctx) => {
+      const photo = ctx.message.photo[ctx.message.photo.length - 1];
+      await this.processImage(ctx, photo, 'image/jpeg');
+    });
+
+    // Handle voice notes
+    this.bot.on('voice', async (ctx) => {
+      const voice = ctx.message.voice;
+      await this.processAudio(ctx, voice, voice.mime_type || 'audio/ogg', 'voice');
+    });
+
+    // Handle audio files
+    this.bot.on('audio', async (ctx) => {
+      const audio = ctx.message.audio;
+      await this.processAudio(ctx, audio, audio.mime_type || 'audio/mpeg', 'audio');
+    });
+
+    // Handle documents: images (uncompressed) or files for document Q&A
+    this.bot.on('document', async (ctx) => {
+      const document = ctx.message.document;
+
+      if (document.mime_type?.startsWith('image/')) {
+        await this.processImage(ctx, document, document.mime_type);
+        return;
+      }
+
+      await this.processDocument(ctx, document);
+    });
+
+    // Handle callback queries (inline buttons)
+    this.bot.on('callback_query', async (ctx) => {
+      const action = ctx.callbackQuery.data;
+
+      await ctx.answerCbQuery();
+
+      if (action.startsWith('persona_')) {
+        const persona = getPersona(action.substring('persona_'.length));
+        if (!persona) {
+          await ctx.reply(this.t(ctx, 'prompt.personaNotFound'));
+          return;
+        }
+
+        const user = await database.getOrCreateUser(ctx.from);
+        await database.updateUserSettings(user.id, { system_prompt: persona.prompt });
+        await ctx.reply(this.t(ctx, 'prompt.personaChanged', { name: i18n.localize(persona.name, ctx.state.locale) }));
+        return;
+      }
+
+      if (action.startsWith('language_')) {
+        const user = await database.getOrCreateUser(ctx.from);
+        await this.setUserLanguage(ctx, user, action.substring('language_'.length));
+        return;
+      }
+
+      if (action.startsWith('group_trigger_')) {
+        await this.setGroupTriggerPolicy(ctx, action.substring('group_trigger_'.length));
+        return;
+      }
+
+      if (action.startsWith('thread_')) {
+        const user = await database.getOrCreateUser(ctx.from);
+        await this.handleThreadAction(ctx, user, action);
+        return;
+      }
+
+      if (action.startsWith('doc_')) {
+        const user = await database.getOrCreateUser(ctx.from);
+        await this.handleDocumentAction(ctx, user, action);
+        return;
+      }
+
+      if (action.startsWith('broadcast_')) {
+        await this.handleBroadcastAction(ctx, action);
+        return;
+      }
+
+      if (action.startsWith('gen_')) {
+        const user = await database.getOrCreateUser(ctx.from);
+        await this.handleGenerationAction(ctx, user, action);
+        return;
+      }
+
+      if (action.startsWith('continue_')) {
+        const user = await database.getOrCreateUser(ctx.from);
+        await this.continueResponse(ctx, user, parseInt(action.substring('continue_'.length)));
+        return;
+      }
+
+      if (action.startsWith('regen_')) {
+        const user = await database.getOrCreateUser(ctx.from);
+        await this.regenerateResponse(ctx, user, parseInt(action.substring('regen_'.length)));
+        return;
+      }
+
+      if (action.startsWith('feedback_')) {
+        const user = await database.getOrCreateUser(ctx.from);
+        const [, rating, id] = action.split('_');
+        await this.saveReplyFeedback(ctx, user, parseInt(id), rating === 'up' ? 1 : -1);
+        return;
+      }
+
+      if (action.startsWith('model_')) {
+        const user = await database.getOrCreateUser(ctx.from);
+        await this.setUserModel(ctx, user, action.substring('model_'.length));
+        return;
+      }
+
+      switch (action) {
+        case 'settings_model': {
+          const user = await database.getOrCreateUser(ctx.from);
+          const settings = await database.getUserSettings(user.id);
+          await this.sendModelList(ctx, this.getPreferredModel(settings));
+          break;
+        }
+        case 'settings_prompt': {
+          const user = await database.getOrCreateUser(ctx.from);
+          const settings = await database.getUserSettings(user.id);
+          await this.sendPromptInfo(ctx, settings);
+          break;
+        }
+        case 'settings_language': {
+          const user = await database.getOrCreateUser(ctx.from);
+          const settings = await database.getUserSettings(user.id);
+          await this.sendLanguageOptions(ctx, settings);
+          break;
+        }
+        case 'settings_clear':
+          await ctx.reply(this.t(ctx, 'settings.clearHint'));
+          break;
+        case 'settings_stats':
+          await ctx.reply(this.t(ctx, 'settings.statsHint'));
+          break;
+      }
+    });
+  }
+
+  setupErrorHandling() {
+    this.bot.catch((err, ctx) => {
+      console.error('Bot error:', err);
+      
+      if (ctx && ctx.reply) {
+        ctx.reply(this.t(ctx, 'common.systemError'))
+          .catch(console.error);
+      }
+    });
+
+    // Handle graceful shutdown
+    process.once('SIGINT', () => this.stop('SIGINT'));
+    process.once('SIGTERM', () => this.stop('SIGTERM'));
+  }
+
+  isGroupChat(ctx) {
+    return ctx.chat?.type === 'group' || ctx.chat?.type === 'supergroup';
+  }
+
+  // Bahasa balasan: pilihan /language, atau bahasa klien Telegram
+  async localeMiddleware(ctx, next) {
+    ctx.state.locale = await this.getLocaleForTelegramId(ctx.from?.id, ctx.from?.language_code);
+    return next();
+  }
+
+  async getLocaleForTelegramId(telegramId, languageCode = null) {
+    if (!telegramId) {
+      return i18n.detectLocale(languageCode);
+    }
+
+    try {
+      const user = await database.getUserByTelegramId(telegramId);
+      const settings = user ? await database.getUserSettings(user.id) : null;
+      return i18n.resolveLocale(settings, languageCode);
+    } catch (error) {
+      console.error('Error resolving locale:', error);
+      return i18n.detectLocale(languageCode);
+    }
+  }
+
+  // Terjemahkan key katalog ke bahasa user pada update ini
+  t(ctx, key, params = {}) {
+    return i18n.t(ctx?.state?.locale, key, params);
+  }
+
+  // Kirim bahasa saat ini beserta pilihan bahasa
+  async sendLanguageOptions(ctx, settings) {
+    const locale = ctx.state.locale;
+    const auto = settings?.language ? '' : this.t(ctx, 'language.autoSuffix');
+    const message = this.t(ctx, 'language.current', { language: i18n.t(locale, 'language.name'), auto });
+
+    const keyboard = Markup.inlineKeyboard([
+      ...i18n.getSupportedLocales().map(code => [
+        Markup.button.callback(
+          `${settings?.language === code ? '✅ ' : ''}${i18n.t(code, 'language.name')}`,
+          `language_${code}`
+        )
+      ]),
+      [Markup.button.callback(`${settings?.language ? '' : '✅ '}${this.t(ctx, 'language.auto')}`, 'language_auto')]
+    ]);
+
+    await this.sendLongMessage(ctx, message, { reply_markup: keyboard.reply_markup });
+  }
+
+  // Simpan bahasa user; "auto" kembali mengikuti language_code dari Telegram
+  async setUserLanguage(ctx, user, input) {
+    if (input === 'auto') {
+      await database.updateUserSettings(user.id, { language: null });
+      ctx.state.locale = i18n.detectLocale(ctx.from.language_code);
+      await ctx.reply(this.t(ctx, 'language.changedAuto', { language: this.t(ctx, 'language.name') }));
+      return;
+    }
+
+    if (!i18n.isSupported(input)) {
+      await ctx.reply(this.t(ctx, 'language.unknown', { input, languages: i18n.getSupportedLocales().join(', ') }));
+      return;
+    }
+
+    await database.updateUserSettings(user.id, { language: input });
+    ctx.state.locale = input;
+    await ctx.reply(this.t(ctx, 'language.changed', { language: this.t(ctx, 'language.name') }));
+  }
+
+  // Di grup, hanya teruskan pesan yang ditujukan ke bot sesuai kebijakan chat
+  async groupTriggerMiddleware(ctx, next) {
+    const message = ctx.message;
+    if (!message || !this.isGroupChat(ctx)) {
+      return next();
+    }
+
+    const text = message.text || message.caption || '';
+
+    if (text.startsWith('/')) {
+      // Abaikan command yang ditujukan ke bot lain (/command@otherbot)
+      const target = text.split(' ')[0].split('@')[1];
+      if (target && target.toLowerCase() !== ctx.botInfo?.username?.toLowerCase()) {
+        return;
+      }
+      return next();
+    }
+
+    if (await this.isAddressedToBot(ctx)) {
+      return next();
+    }
+  }
+
+  async isAddressedToBot(ctx) {
+    const settings = await database.getChatSettings(ctx.chat.id);
+    const policy = settings?.trigger_policy || 'mention';
+
+    if (policy === 'all') {
+      return true;
+    }
+
+    const isReplyToBot = ctx.message.reply_to_message?.from?.id === ctx.botInfo?.id;
+    if (policy === 'reply') {
+      return isReplyToBot;
+    }
+
+    return isReplyToBot || this.mentionsBot(ctx);
+  }
+
+  mentionsBot(ctx) {
+    const username = ctx.botInfo?.username;
+    if (!username) {
+      return false;
+    }
+
+    const text = ctx.message.text || ctx.message.caption || '';
+    return text.toLowerCase().includes(`@${username.toLowerCase()}`);
+  }
+
+  // Hapus @botname dari pesan sebelum dikirim ke AI
+  stripBotMention(ctx, text) {
+    const username = ctx.botInfo?.username;
+    if (!username) {
+      return text;
+    }
+
+    return text.replace(new RegExp(`@${username}\\b`, 'gi'), '').trim();
+  }
+
+  getSpeakerName(from) {
+    const fullName = [from.first_name, from.last_name].filter(Boolean).join(' ');
+    return fullName || from.username || `User ${from.id}`;
+  }
+
+  // Admin grup (creator/administrator) atau admin bot
+  async isGroupAdmin(ctx) {
+    if (await securityMiddleware.isAdmin(ctx.from.id)) {
+      return true;
+    }
+
+    try {
+      const member = await ctx.getChatMember(ctx.from.id);
+      return member.status === 'creator' || member.status === 'administrator';
+    } catch (error) {
+      console.error('Error checking group admin:', error);
+      return false;
+    }
+  }
+
+  // Kirim pengaturan grup dengan pilihan kebijakan trigger
+  async sendGroupSettings(ctx) {
+    const settings = await database.getChatSettings(ctx.chat.id);
+    const currentPolicy = settings?.trigger_policy || 'mention';
+
+    const generation = Object.fromEntries(
+      getGenerationFields().map(field => [field, settings?.[getGenerationColumn(field)] || null])
+    );
+    const message = `${this.t(ctx, 'group.settings', { policy: this.t(ctx, `group.policies.${currentPolicy}`) })}\n\n` +
+                    this.describeGeneration(ctx, generation, 'generation.groupSummary');
+
+    const keyboard = Markup.inlineKeyboard([
+      ...GROUP_TRIGGER_POLICIES.map(policy => [
+        Markup.button.callback(
+          `${policy === currentPolicy ? '✅ ' : ''}${this.t(ctx, `group.policies.${policy}`)}`,
+          `group_trigger_${policy}`
+        )
+      ]),
+      ...getGenerationFields().map(field => [
+        Markup.button.callback(this.t(ctx, `generation.fields.${field}`), `gen_chat_${field}`)
+      ])
+    ]);
+
+    await this.sendLongMessage(ctx, message, { reply_markup: keyboard.reply_markup });
+  }
+
+  async setGroupTriggerPolicy(ctx, policy) {
+    if (!this.isGroupChat(ctx) || !GROUP_TRIGGER_POLICIES.includes(policy)) {
+      return;
+    }
+
+    if (!(await this.isGroupAdmin(ctx))) {
+      await ctx.reply(this.t(ctx, 'group.adminOnly'));
+      return;
+    }
+
+    await database.updateChatSettings(ctx.chat.id, { trigger_policy: policy }, ctx.from.id);
+    await ctx.reply(this.t(ctx, 'group.changed', { policy: this.t(ctx, `group.policies.${policy}`) }));
+  }
+
+  // Label preset generasi; null berarti grup mengikuti pengaturan masing-masing user
+  describeGenerationValue(ctx, field, value) {
+    return value ? this.t(ctx, `generation.options.${field}.${value}`) : this.t(ctx, 'generation.inherit');
+  }
+
+  describeGeneration(ctx, preferences, key = 'generation.summary') {
+    return this.t(ctx, key, Object.fromEntries(
+      getGenerationFields().map(field => [field, this.describeGenerationValue(ctx, field, preferences[field])])
+    ));
+  }
+
+  // Callback gen_<user|chat>_<field> membuka pilihan, gen_<user|chat>_<field>_<value> menyimpannya
+  async handleGenerationAction(ctx, user, action) {
+    const [, scope, field, value] = action.split('_');
+    if (!getGenerationColumn(field) || !['user', 'chat'].includes(scope)) {
+      return;
+    }
+
+    if (scope === 'chat' && !this.isGroupChat(ctx)) {
+      return;
+    }
+
+    if (value) {
+      await this.setGenerationOption(ctx, user, scope, field, value);
+    } else {
+      await this.sendGenerationOptions(ctx, user, scope, field);
+    }
+  }
+
+  async sendGenerationOptions(ctx, user, scope, field) {
+    const isChat = scope === 'chat';
+    const settings = isChat ? await database.getChatSettings(ctx.chat.id) : await database.getUserSettings(user.id);
+    const current = isChat
+      ? settings?.[getGenerationColumn(field)] || null
+      : resolveGeneration(settings).preferences[field];
+
+    // Grup bisa kembali mengikuti pengaturan masing-masing user
+    const values = isChat ? [...getGenerationValues(field), null] : getGenerationValues(field);
+    const keyboard = Markup.inlineKeyboard(
+      values.map(value => [
+        Markup.button.callback(
+          `${value === current ? '✅ ' : ''}${this.describeGenerationValue(ctx, field, value)}`,
+          `gen_${scope}_${field}_${value || 'inherit'}`
+        )
+      ])
+    );
+
+    const message = this.t(ctx, isChat ? 'generation.chooseGroup' : 'generation.choose', {
+      field: this.t(ctx, `generation.fields.${field}`),
+      value: this.describeGenerationValue(ctx, field, current)
+    });
+    await this.sendLongMessage(ctx, message, { reply_markup: keyboard.reply_markup });
+  }
+
+  async setGenerationOption(ctx, user, scope, field, value) {
+    const isChat = scope === 'chat';
+    const inherit = isChat && value === 'inherit';
+
+    if (!inherit && !isAllowedGenerationValue(field, value)) {
+      await ctx.reply(this.t(ctx, 'generation.notAllowed'));
+      return;
+    }
+
+    const column = getGenerationColumn(field);
+    if (isChat) {
+      if (!(await this.isGroupAdmin(ctx))) {
+        await ctx.reply(this.t(ctx, 'group.adminOnly'));
+        return;
+      }
+      await database.updateChatSettings(ctx.chat.id, { [column]: inherit ? null : value }, ctx.from.id);
+    } else {
+      await database.updateUserSettings(user.id, { [column]: value });
+    }
+
+    await ctx.reply(this.t(ctx, isChat ? 'generation.changedGroup' : 'generation.changed', {
+      field: this.t(ctx, `generation.fields.${field}`),
+      value: this.describeGenerationValue(ctx, field, inherit ? null : value)
+    }));
+  }
+
+  // Model yang dipilih user, fallback ke default dari environment
+  getPreferredModel(settings) {
+    const model = settings?.preferred_model;
+    return model && geminiService.isValidModel(model) ? model : geminiService.defaultModel;
+  }
+
+  // Deskripsi singkat system prompt yang sedang aktif
+  describeSystemPrompt(ctx, settings) {
+    const prompt = settings?.system_prompt;
+    if (!prompt) {
+      return this.t(ctx, 'common.default');
+    }
+
+    const persona = findPersonaByPrompt(prompt);
+    return persona ? i18n.localize(persona.name, ctx.state.locale) : this.t(ctx, 'common.custom');
+  }
+
+  // Kirim system prompt saat ini beserta pilihan persona
+  async sendPromptInfo(ctx, settings) {
+    const prompt = settings?.system_prompt || geminiService.systemPrompt;
+
+    let message = `${this.t(ctx, 'prompt.title', { name: this.describeSystemPrompt(ctx, settings) })}\n\n`;
+    message += `${prompt}\n\n`;
+    message += this.t(ctx, 'prompt.choose', { max: securityMiddleware.maxSystemPromptLength });
+
+    const keyboard = Markup.inlineKeyboard(
+      personas.map(persona => [
+        Markup.button.callback(i18n.localize(persona.name, ctx.state.locale), `persona_${persona.key}`)
+      ])
+    );
+
+    await this.sendLongMessage(ctx, message, { reply_markup: keyboard.reply_markup });
+  }
+
+  // Kirim daftar model dengan inline keyboard untuk memilih
+  async sendModelList(ctx, currentModel) {
+    const models = geminiService.getAvailableModels();
+
+    let message = `${this.t(ctx, 'model.listTitle')}\n\n`;
+    models.forEach(model => {
+      const marker = model.name === currentModel ? '✅' : '•';
+      message += `${marker} \`${model.name}\`\n${model.description}\n\n`;
+    });
+    message += this.t(ctx, 'model.listFooter');
+
+    const keyboard = Markup.inlineKeyboard(
+      models.map(model => [
+        Markup.button.callback(
+          `${model.name === currentModel ? '✅ ' : ''}${model.name}`,
+          `model_${model.name}`
+        )
+      ])
+    );
+
+    await this.sendLongMessage(ctx, message, { reply_markup: keyboard.reply_markup });
+  }
+
+  // Simpan pilihan model user ke database
+  async setUserModel(ctx, user, input) {
+    const modelName = geminiService.resolveModelName(input);
+
+    if (!modelName) {
+      await ctx.reply(this.t(ctx, 'model.unknown', { input }));
+      return;
+    }
+
+    await database.updateUserSettings(user.id, { preferred_model: modelName });
+    await ctx.reply(this.t(ctx, 'model.changed', { model: modelName }));
+  }
+
+  parseTelegramId(value) {
+    const telegramId = parseInt(value);
+    return isNaN(telegramId) || String(telegramId) !== String(value).trim() ? null : telegramId;
+  }
+
+  formatDuration(locale, seconds) {
+    if (seconds % 604800 === 0) return i18n.t(locale, 'duration.weeks', { count: seconds / 604800 });
+    if (seconds % 86400 === 0) return i18n.t(locale, 'duration.days', { count: seconds / 86400 });
+    if (seconds % 3600 === 0) return i18n.t(locale, 'duration.hours', { count: seconds / 3600 });
+    return i18n.t(locale, 'duration.minutes', { count: Math.round(seconds / 60) });
+  }
+
+  // /block <telegram_id> [durasi] [alasan]
+  async blockFromCommand(ctx, args) {
+    const telegramId = this.parseTelegramId(args[0]);
+    if (!telegramId) {
+      await ctx.reply(this.t(ctx, 'block.usage'));
+      return;
+    }
+
+    if (await securityMiddleware.isAdmin(telegramId)) {
+      await ctx.reply(this.t(ctx, 'block.adminNotAllowed'));
+      return;
+    }
+
+    const durationSeconds = securityMiddleware.parseDuration(args[1]);
+    const reason = args.slice(durationSeconds ? 2 : 1).join(' ') || this.t(ctx, 'block.defaultReason');
+
+    await securityMiddleware.blockUser(telegramId, reason, { blockedBy: ctx.from.id, durationSeconds });
+
+    const until = durationSeconds
+      ? this.t(ctx, 'block.forDuration', { duration: this.formatDuration(ctx.state.locale, durationSeconds) })
+      : this.t(ctx, 'block.permanently');
+    await ctx.reply(this.t(ctx, 'block.done', { telegramId, until, reason }));
+  }
+
+  // /moderation, /moderation test <pesan>, /moderation reload
+  async handleModerationCommand(ctx, subcommand, text) {
+    if (subcommand === 'reload') {
+      const success = moderationService.loadRules();
+      await ctx.reply(success
+        ? this.t(ctx, 'moderation.reloaded', { count: moderationService.rules.length })
+        : this.t(ctx, 'moderation.reloadFailed'));
+      return;
+    }
+
+    if (subcommand === 'test') {
+      if (!text) {
+        await ctx.reply(this.t(ctx, 'moderation.testUsage'));
+        return;
+      }
+
+      const verdict = moderationService.evaluate(text);
+      let message = `${this.t(ctx, 'moderation.verdict', { action: verdict.action })}\n`;
+
+      if (verdict.matches.length === 0) {
+        message += `\n${this.t(ctx, 'moderation.noMatches')}`;
+      } else {
+        message += `\n${this.t(ctx, 'moderation.matches')}\n`;
+        verdict.matches.forEach(match => {
+          message += `• ${match.rule} (${match.action})${match.pattern ? `: ${match.pattern}` : ''}\n`;
+        });
+      }
+
+      // Tampilkan juga hasil classifier LLM untuk pesan borderline, atau aksi cadangan tanpa classifier
+      if (verdict.action === 'classify' && !classifierService.isEnabled()) {
+        message += `\n${this.t(ctx, 'moderation.fallback', { action: moderationService.applyFallback(verdict).action })}`;
+      } else if (verdict.action === 'classify') {
+        const admin = await database.getOrCreateUser(ctx.from);
+        const result = await classifierService.classify(text, moderationService.getClassifierCategories(), { userId: admin.id });
+
+        if (result) {
+          const decision = moderationService.decideClassification(result);
+          const cached = result.cached ? this.t(ctx, 'moderation.classifierCached') : '';
+          message += `\n${this.t(ctx, 'moderation.classifier', { cached, action: decision.action })}\n`;
+          if (result.blocked) {
+            message += `${this.t(ctx, 'moderation.classifierBlocked')}\n`;
+          }
+          Object.entries(result.categories).forEach(([category, confidence]) => {
+            message += `• ${category}: ${confidence.toFixed(2)}\n`;
+          });
+        } else {
+          message += `\n${this.t(ctx, 'moderation.classifierFailed')}`;
+          message += `\n${this.t(ctx, 'moderation.fallback', { action: moderationService.applyFallback(verdict).action })}`;
+        }
+      }
+
+      await ctx.reply(message);
+      return;
+    }
+
+    const status = moderationService.getStatus();
+    const onOff = (enabled) => this.t(ctx, enabled ? 'common.active' : 'common.inactive');
+    const classifierStatus = classifierService.isEnabled()
+      ? this.t(ctx, 'moderation.classifierActive', { model: classifierService.model })
+      : onOff(false);
+
+    let message = `${this.t(ctx, 'moderation.statusTitle')}\n\n`;
+    message += `${this.t(ctx, 'moderation.file', { path: status.rulesPath })}\n`;
+    message += `${this.t(ctx, 'moderation.loaded', {
+      date: status.loadedAt ? i18n.formatDateTime(ctx.state.locale, status.loadedAt) : '-'
+    })}\n`;
+    message += `${this.t(ctx, 'moderation.hotReload', { status: onOff(status.watching) })}\n`;
+    message += `${this.t(ctx, 'moderation.spam', { status: onOff(status.spamEnabled) })}\n`;
+    message += `${this.t(ctx, 'moderation.classifierStatus', { status: classifierStatus })}\n\n`;
+    status.rules.forEach(rule => {
+      message += `• ${rule.id} - ${rule.action} [${rule.languages.join(', ')}]\n`;
+    });
+    message += `\n${this.t(ctx, 'moderation.statusFooter')}`;
+
+    await ctx.reply(message);
+  }
+
+  // Kirim notifikasi blokir otomatis ke semua admin, masing-masing dalam bahasanya
+  async notifyAutoBlock({ userId, reason, strikes, level, durationSeconds }) {
+    for (const adminId of await securityMiddleware.getAdmins()) {
+      const locale = await this.getLocaleForTelegramId(adminId);
+      const duration = durationSeconds
+        ? i18n.t(locale, 'block.forDuration', { duration: this.formatDuration(locale, durationSeconds) })
+        : i18n.t(locale, 'block.autoPermanent');
+      const message = i18n.t(locale, 'block.autoNotice', { userId, duration, reason, strikes, level });
+
+      try {
+        await this.bot.telegram.sendMessage(adminId, message);
+      } catch (error) {
+        console.error(`Error notifying admin ${adminId}:`, error.message);
+      }
+    }
+  }
+
+  // Profil, status dan pemakaian seorang user untuk admin
+  async sendUserProfile(ctx, telegramId) {
+    const user = await database.getUserByTelegramId(telegramId);
+    const blocked = await securityMiddleware.getBlock(telegramId);
+
+    const locale = ctx.state.locale;
+    const format = (value) => i18n.formatNumber(locale, value);
+    const date = (value) => i18n.formatDateTime(locale, i18n.parseTimestamp(value));
+
+    let status = this.t(ctx, 'profile.statusActive');
+    if (securityMiddleware.isOwner(telegramId)) {
+      status = this.t(ctx, 'profile.statusOwner');
+    } else if (await securityMiddleware.isAdmin(telegramId)) {
+      status = this.t(ctx, 'profile.statusAdmin');
+    } else if (blocked) {
+      status = this.t(ctx, 'profile.statusBlocked', {
+        until: this.describeBlockUntil(ctx, blocked),
+        reason: blocked.reason || this.t(ctx, 'common.noReason')
+      });
+    }
+
+    if (!user) {
+      await ctx.reply(this.t(ctx, 'profile.neverUsed', { telegramId, status }));
+      return;
+    }
+
+    const [settings, activity, tokenUsage, quota, threads, events, strikes] = await Promise.all([
+      database.getUserSettings(user.id),
+      database.getUserActivity(user.id),
+      database.getUserTokenUsage(user.id),
+      quotaService.getQuotaStatus(user.id),
+      database.getUserThreads(user.id),
+      database.getSecurityEvents({ telegramId, limit: 5 }),
+      securityMiddleware.getStrikeStatus(telegramId)
+    ]);
+
+    const name = [user.first_name, user.last_name].filter(Boolean).join(' ') || '-';
+    const language = settings?.language ? i18n.t(settings.language, 'language.name') : this.t(ctx, 'language.auto');
+
+    let message = `${this.t(ctx, 'profile.title', { telegramId })}\n\n`;
+    message += `${this.t(ctx, 'profile.name', { name: `${name}${user.username ? ` (@${user.username})` : ''}` })}\n`;
+    message += `${this.t(ctx, 'profile.registered', { date: date(user.created_at) })}\n`;
+    message += `${this.t(ctx, 'profile.status', { status })}\n`;
+    message += `${this.t(ctx, 'profile.model', { model: this.getPreferredModel(settings) })}\n`;
+    message += `${this.t(ctx, 'profile.language', { language })}\n\n`;
+
+    message += `${this.t(ctx, 'profile.messages', { count: format(activity.message_count) })}\n`;
+    if (activity.message_count > 0) {
+      message += `${this.t(ctx, 'profile.first', { date: date(activity.first_interaction) })}\n`;
+      message += `${this.t(ctx, 'profile.last', { date: date(activity.last_interaction) })}\n`;
+    }
+    message += `${this.t(ctx, 'profile.threads', { count: format(threads.length) })}\n`;
+    message += `${this.t(ctx, 'profile.tokens', { total: format(tokenUsage.totalTokens), today: format(tokenUsage.todayTokens) })}\n`;
+    message += `${this.t(ctx, 'profile.strikes', {
+      strikes: strikes.strikes,
+      threshold: securityMiddleware.strikeThreshold,
+      autoBlocks: strikes.autoBlocks
+    })}\n`;
+
+    if (quota) {
+      const override = quota.hasOverride ? this.t(ctx, 'profile.quotaOverride') : '';
+      message += `\n${this.t(ctx, 'profile.quota', { override })}\n`;
+      quota.quotas.forEach(item => {
+        message += `${this.t(ctx, 'profile.quotaLine', {
+          label: this.t(ctx, `quota.fields.${item.field}`),
+          used: format(item.used),
+          limit: item.limit === 0 ? this.t(ctx, 'common.unlimited') : format(item.limit)
+        })}\n`;
+      });
+    }
+
+    if (events.length > 0) {
+      message += `\n${this.t(ctx, 'profile.events')}\n`;
+      events.forEach(event => {
+        message += `• ${date(event.created_at)} | ${event.event_type}\n`;
+      });
+    }
+
+    // Nama dan username berasal dari user, kirim sebagai teks biasa
+    await ctx.reply(message);
+  }
+
+  // /admins, /admins add <telegram_id>, /admins remove <telegram_id>
+  async handleAdminsCommand(ctx, args) {
+    const [operation, rawId] = args;
+
+    if (!operation) {
+      const admins = Array.from(await securityMiddleware.getAdmins());
+      let message = `${this.t(ctx, 'admins.title', { count: admins.length })}\n\n`;
+      admins.forEach(adminId => {
+        message += `• ${adminId}${securityMiddleware.isOwner(adminId) ? this.t(ctx, 'admins.owner') : ''}\n`;
+      });
+      message += `\n${this.t(ctx, 'admins.footer')}`;
+      await ctx.reply(message);
+      return;
+    }
+
+    // Hanya owner (ADMIN_USER_IDS) yang boleh mengubah daftar admin
+    if (!securityMiddleware.isOwner(ctx.from.id)) {
+      await ctx.reply(this.t(ctx, 'admins.ownerOnly'));
+      return;
+    }
+
+    const telegramId = this.parseTelegramId(rawId);
+    if (!['add', 'remove'].includes(operation) || !telegramId) {
+      await ctx.reply(this.t(ctx, 'admins.usage'));
+      return;
+    }
+
+    if (operation === 'add') {
+      if (await securityMiddleware.isBlocked(telegramId)) {
+        await securityMiddleware.unblockUser(telegramId, { unblockedBy: ctx.from.id, reason: 'promoted to admin' });
+      }
+
+      await securityMiddleware.addAdmin(telegramId, ctx.from.id);
+      await ctx.reply(this.t(ctx, 'admins.added', { telegramId }));
+      return;
+    }
+
+    if (securityMiddleware.isOwner(telegramId)) {
+      await ctx.reply(this.t(ctx, 'admins.cannotRemoveOwner'));
+      return;
+    }
+
+    const removed = await securityMiddleware.removeAdmin(telegramId, ctx.from.id);
+    await ctx.reply(this.t(ctx, removed ? 'admins.removed' : 'admins.notAdmin', { telegramId }));
+  }
+
+  // Simpan pesan broadcast dan minta konfirmasi admin
+  async prepareBroadcast(ctx, text) {
+    if (!text) {
+      await ctx.reply(this.t(ctx, 'broadcast.usage'));
+      return;
+    }
+
+    if (this.broadcastInProgress) {
+      await ctx.reply(this.t(ctx, 'broadcast.inProgress'));
+      return;
+    }
+
+    // Preview dan pesan broadcast sama-sama harus muat dalam satu pesan Telegram
+    const preview = this.t(ctx, 'broadcast.preview', { text });
+    if (preview.length > this.telegramMessageLimit) {
+      await ctx.reply(this.t(ctx, 'broadcast.tooLong', {
+        max: this.telegramMessageLimit - (preview.length - text.length),
+        length: text.length
+      }));
+      return;
+    }
+
+    const users = await database.getBroadcastRecipients();
+    this.pendingBroadcasts.set(ctx.from.id, text);
+
+    const keyboard = Markup.inlineKeyboard([
+      [Markup.button.callback(this.t(ctx, 'broadcast.buttonSend', { count: users.length }), 'broadcast_confirm')],
+      [Markup.button.callback(this.t(ctx, 'common.cancel'), 'broadcast_cancel')]
+    ]);
+
+    await ctx.reply(preview, keyboard);
+  }
+
+  async handleBroadcastAction(ctx, action) {
+    if (!await securityMiddleware.isAdmin(ctx.from.id)) {
+      await ctx.reply(this.t(ctx, 'common.noAdminAccess'));
+      return;
+    }
+
+    const text = this.pendingBroadcasts.get(ctx.from.id);
+    this.pendingBroadcasts.delete(ctx.from.id);
+
+    if (action === 'broadcast_cancel') {
+      await ctx.reply(this.t(ctx, 'broadcast.cancelled'));
+      return;
+    }
+
+    if (!text) {
+      await ctx.reply(this.t(ctx, 'broadcast.nothingPending'));
+      return;
+    }
+
+    if (this.broadcastInProgress) {
+      await ctx.reply(this.t(ctx, 'broadcast.inProgress'));
+      return;
+    }
+
+    // Jalankan di background agar update lain tetap diproses
+    this.runBroadcast(ctx, text).catch(error => {
+      console.error('Error running broadcast:', error);
+      this.broadcastInProgress = false;
+    });
+  }
+
+  // Kirim broadcast dengan throttling dan laporan progres yang diperbarui berkala
+  async runBroadcast(ctx, text) {
+    this.broadcastInProgress = true;
+
+    const users = await database.getBroadcastRecipients();
+    const delay = Math.ceil(1000 / this.broadcastRate);
+    const progress = await ctx.reply(this.t(ctx, 'broadcast.started', { total: users.length }));
+    let sent = 0;
+    let failed = 0;
+
+    const report = async (done) => {
+      const status = this.t(ctx, done ? 'broadcast.finished' : 'broadcast.running', {
+        done: sent + failed,
+        total: users.length,
+        sent,
+        failed
+      });
+      try {
+        await ctx.telegram.editMessageText(progress.chat.id, progress.message_id, undefined, status);
+      } catch (error) {
+        if (!this.isMessageNotModified(error)) {
+          console.error('Error updating broadcast progress:', error);
+        }
+      }
+    };
+
+    for (const [index, user] of users.entries()) {
+      if (await this.sendBroadcastMessage(user.telegram_id, text)) {
+        sent++;
+      } else {
+        failed++;
+      }
+
+      if ((index + 1) % 25 === 0) {
+        await report(false);
+      }
+
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+
+    await report(true);
+    this.broadcastInProgress = false;
+
+    securityMiddleware.logSecurityEvent('broadcast', ctx.from.id, { recipients: users.length, sent, failed });
+  }
+
+  // Kirim satu pesan broadcast, ulangi sekali jika terkena flood limit (429)
+  async sendBroadcastMessage(telegramId, text, retry = true) {
+    try {
+      await this.bot.telegram.sendMessage(telegramId, text, { disable_web_page_preview: true });
+      return true;
+    } catch (error) {
+      const retryAfter = error.response?.parameters?.retry_after;
+      if (error.response?.error_code === 429 && retryAfter && retry) {
+        await new Promise(resolve => setTimeout(resolve, retryAfter * 1000));
+        return this.sendBroadcastMessage(telegramId, text, false);
+      }
+
+      // 403 berarti user memblokir bot atau akunnya sudah dihapus
+      if (error.response?.error_code !== 403) {
+        console.error(`Error sending broadcast to ${telegramId}:`, error.message);
+      }
+      return false;
+    }
+  }
+
+  // Tampilkan log keamanan terbaru (opsional untuk satu user)
+  async sendSecurityEvents(ctx, telegramId = null) {
+    let events;
+    try {
+      events = await database.getSecurityEvents({ telegramId: telegramId || null, limit: 20 });
+    } catch (error) {
+      await ctx.reply(this.t(ctx, 'admin.eventsFailed'));
+      return;
+    }
+
+    if (events.length === 0) {
+      await ctx.reply(this.t(ctx, 'admin.eventsEmpty'));
+      return;
+    }
+
+    let message = `${telegramId ? this.t(ctx, 'admin.eventsForUser', { telegramId }) : this.t(ctx, 'admin.eventsRecent')}\n\n`;
+    events.forEach(event => {
+      const detail = event.details.reason || event.details.text || '';
+      const createdAt = i18n.formatDateTime(ctx.state.locale, i18n.parseTimestamp(event.created_at));
+      message += `• ${createdAt} | ${event.event_type} | ${event.telegram_id}`;
+      message += detail ? ` | ${detail.substring(0, 80)}\n` : '\n';
+    });
+
+    // Isi event berasal dari user, kirim sebagai teks biasa
+    await ctx.reply(message);
+  }
+
+  // Tingkat kepuasan jawaban per model, per system prompt dan per minggu
+  async sendFeedbackReport(ctx, daysArg) {
+    const days = feedbackService.parseDays(daysArg);
+    let report;
+    try {
+      report = await feedbackService.getReport(days);
+    } catch (error) {
+      await ctx.reply(this.t(ctx, 'admin.feedbackFailed'));
+      return;
+    }
+
+    if (report.total.total === 0) {
+      await ctx.reply(this.t(ctx, 'admin.feedbackEmpty', { days }));
+      return;
+    }
+
+    const line = (label, row) => `• ${label}: ${this.t(ctx, 'admin.feedbackLine', {
+      satisfaction: i18n.formatNumber(ctx.state.locale, Math.round(row.satisfaction * 100)),
+      positive: i18n.formatNumber(ctx.state.locale, row.positive),
+      negative: i18n.formatNumber(ctx.state.locale, row.negative),
+      comments: i18n.formatNumber(ctx.state.locale, row.comments)
+    })}\n`;
+
+    let message = `${this.t(ctx, 'admin.feedbackTitle', { days })}\n\n`;
+    message += line(this.t(ctx, 'admin.feedbackTotal'), report.total);
+
+    message += `\n${this.t(ctx, 'admin.feedbackByModel')}\n`;
+    report.byModel.forEach(row => {
+      message += line(row.model || '-', row);
+    });
+
+    message += `\n${this.t(ctx, 'admin.feedbackByPrompt')}\n`;
+    report.byPrompt.slice(0, 10).forEach(row => {
+      message += line(this.describeReportPrompt(ctx, row.system_prompt), row);
+    });
+
+    message += `\n${this.t(ctx, 'admin.feedbackByWeek')}\n`;
+    report.byWeek.slice(-12).forEach(row => {
+      message += line(i18n.formatDate(ctx.state.locale, row.week), row);
+    });
+
+    message += `\n${this.t(ctx, 'admin.feedbackExportHint')}`;
+
+    // Prompt kustom berasal dari user, kirim sebagai teks biasa
+    await ctx.reply(message);
+  }
+
+  // Nama persona, "Default", atau potongan awal prompt kustom
+  describeReportPrompt(ctx, prompt) {
+    if (!prompt || findPersonaByPrompt(prompt)) {
+      return this.describeSystemPrompt(ctx, { system_prompt: prompt });
+    }
+
+    const snippet = prompt.replace(/\s+/g, ' ').trim();
+    return `${this.t(ctx, 'common.custom')} "${snippet.length > 40 ? `${snippet.substring(0, 40)}…` : snippet}"`;
+  }
+
+  // Kirim jawaban yang dinilai 👎 sebagai file JSONL
+  async sendFeedbackExport(ctx, daysArg) {
+    const days = feedbackService.parseDays(daysArg);
+    let exported;
+    try {
+      exported = await feedbackService.exportNegative(days);
+    } catch (error) {
+      await ctx.reply(this.t(ctx, 'admin.feedbackFailed'));
+      return;
+    }
+
+    if (exported.count === 0) {
+      await ctx.reply(this.t(ctx, 'admin.feedbackExportEmpty', { days }));
+      return;
+    }
+
+    const date = new Date().toISOString().slice(0, 10);
+    await ctx.replyWithDocument(
+      { source: Buffer.from(exported.content, 'utf8'), filename: `negative-feedback-${date}.jsonl` },
+      { caption: this.t(ctx, 'admin.feedbackExportCaption', { count: exported.count, days }) }
+    );
+  }
+
+  // Tampilkan daftar user yang sedang diblokir
+  async sendBlockedUsers(ctx) {
+    const blocked = await securityMiddleware.getBlockedUsers();
+
+    if (blocked.length === 0) {
+      await ctx.reply(this.t(ctx, 'admin.blockedEmpty'));
+      return;
+    }
+
+    let message = `${this.t(ctx, 'admin.blockedTitle', { count: blocked.length })}\n\n`;
+    blocked.forEach(entry => {
+      message += `${this.t(ctx, 'admin.blockedLine', {
+        userId: entry.userId,
+        reason: entry.reason || this.t(ctx, 'common.noReason'),
+        until: this.describeBlockUntil(ctx, entry)
+      })}\n`;
+    });
+
+    await ctx.reply(message);
+  }
+
+  // "sampai <tanggal>" atau "permanen" untuk sebuah entri blokir
+  describeBlockUntil(ctx, entry) {
+    return entry.expiresAt
+      ? this.t(ctx, 'common.until', { date: i18n.formatDateTime(ctx.state.locale, entry.expiresAt) })
+      : this.t(ctx, 'common.permanent');
+  }
+
+  // Tampilkan pemakaian dan sisa kuota user
+  async sendQuotaStatus(ctx, user) {
+    const status = await quotaService.getQuotaStatus(user.id);
+    if (!status) {
+      await ctx.reply(this.t(ctx, 'quota.loadFailed'));
+      return;
+    }
+
+    const format = (value) => i18n.formatNumber(ctx.state.locale, value);
+
+    let message = `${this.t(ctx, 'quota.title', { name: user.first_name || user.username || user.telegram_id })}\n\n`;
+    status.quotas.forEach(quota => {
+      message += `${this.t(ctx, 'quota.line', {
+        label: this.t(ctx, `quota.fields.${quota.field}`),
+        used: format(quota.used),
+        limit: quota.limit === 0 ? this.t(ctx, 'common.unlimited') : format(quota.limit),
+        remaining: quota.remaining === null ? '' : this.t(ctx, 'quota.remaining', { count: format(quota.remaining) })
+      })}\n`;
+    });
+
+    message += `\n${this.t(ctx, 'quota.resetInfo')}`;
+
+    if (status.hasOverride) {
+      message += `\n${this.t(ctx, 'quota.override')}`;
+    }
+
+    await this.sendLongMessage(ctx, message);
+  }
+
+  // /setquota <telegram_id> <field> <angka|unlimited|default> atau /setquota <telegram_id> reset
+  async setUserQuota(ctx, args) {
+    const [telegramId, field, rawValue] = args.filter(Boolean);
+    const fields = quotaService.getFields();
+    const usage = this.t(ctx, 'quota.usage', { fields: fields.join('|') });
+
+    if (!telegramId || !field) {
+      await ctx.reply(usage);
+      return;
+    }
+
+    const target = await database.getUserByTelegramId(telegramId);
+    if (!target) {
+      await ctx.reply(this.t(ctx, 'quota.targetNotFound'));
+      return;
+    }
+
+    if (field === 'reset') {
+      const success = await quotaService.removeOverride(target.id);
+      await ctx.reply(success ? this.t(ctx, 'quota.resetDone', { telegramId }) : this.t(ctx, 'quota.resetFailed'));
+      return;
+    }
+
+    if (!quotaService.isValidField(field) || !rawValue) {
+      await ctx.reply(usage);
+      return;
+    }
+
+    let value;
+    if (rawValue === 'unlimited') {
+      value = 0;
+    } else if (rawValue === 'default') {
+      value = null;
+    } else {
+      value = parseInt(rawValue);
+      if (isNaN(value) || value < 1 || String(value) !== rawValue) {
+        await ctx.reply(this.t(ctx, 'quota.invalidValue', { usage }));
+        return;
+      }
+    }
+
+    const success = await quotaService.setOverride(target.id, field, value, ctx.from.id);
+    if (success) {
+      await ctx.reply(this.t(ctx, 'quota.setDone', { field, telegramId, value: rawValue }));
+    } else {
+      await ctx.reply(this.t(ctx, 'quota.setFailed'));
+    }
+  }
+
+  // Cek kuota sebelum memanggil Gemini, admin bot dikecualikan
+  async enforceQuota(ctx, user) {
+    if (await securityMiddleware.isAdmin(ctx.from.id)) {
+      return true;
+    }
+
+    const check = await quotaService.checkQuota(user.id);
+    if (check.allowed) {
+      return true;
+    }
+
+    const reset = this.t(ctx, `quota.reset.${check.period}`);
+    if (check.scope === 'global') {
+      await ctx.reply(this.t(ctx, 'quota.globalExceeded', { reset }));
+    } else {
+      await ctx.reply(this.t(ctx, 'quota.userExceeded', {
+        label: this.t(ctx, `quota.fields.${check.field}`),
+        used: i18n.formatNumber(ctx.state.locale, check.used),
+        limit: i18n.formatNumber(ctx.state.locale, check.limit),
+        reset
+      }));
+    }
+
+    console.log(`Quota exceeded for user ${user.id}: ${check.scope} ${check.period} ${check.type}`);
+    return false;
+  }
+
+  // Generate dan kirim respon AI untuk pesan user (teks atau dengan lampiran).
+  // options.prompt menggantikan teks yang dikirim ke Gemini, userMessage tetap yang disimpan di riwayat.
+  // options.replace (turn terakhir dari conversationService.getLastTurn) menimpa turn itu dan balasannya.
+  // options.quote menggantikan kutipan dari pesan yang di-reply (dipakai saat turn diulang)
+  async processMessage(ctx, user, userMessage, options = {}) {
+    const { attachments = [], media = null, replace = null } = options;
+
+    if (!(await this.enforceQuota(ctx, user))) {
+      return;
+    }
+
+    try {
+      // Show typing indicator
+      await ctx.sendChatAction('typing');
+
+      // Use the user's preferred model, falling back to the environment default
+      const settings = await database.getUserSettings(user.id);
+      const preferredModel = this.getPreferredModel(settings);
+      const systemPrompt = settings?.system_prompt || null;
+      const maxContext = parseInt(process.env.MAX_CONTEXT_MESSAGES) || 20;
+
+      // Group chats share one history per chat, with speaker names on each turn
+      const isGroup = this.isGroupChat(ctx);
+      const chatId = isGroup ? ctx.chat.id : null;
+      const speakerName = isGroup ? this.getSpeakerName(ctx.from) : null;
+      const promptText = options.prompt || userMessage;
+
+      // Preset grup lebih dulu, lalu preset user, lalu default
+      const chatSettings = isGroup ? await database.getChatSettings(chatId) : null;
+      const generation = resolveGeneration(chatSettings, settings).config;
+      const prompt = speakerName ? `${speakerName}: ${promptText}` : promptText;
+
+      // Dokumen aktif (khusus chat pribadi) dihitung dalam budget konteks sebelum riwayat percakapan
+      const storedDocument = isGroup ? null : await documentService.getActiveDocument(user.id);
+      const documentContext = storedDocument
+        ? documentService.getDocumentContext(storedDocument, promptText, preferredModel)
+        : { document: null, tokens: 0 };
+      const activeDocument = documentContext.document;
+      const context = await conversationService.getRecentContextForAI(
+        user.id, maxContext, chatId, preferredModel, documentContext.tokens
+      );
+
+      // Turn yang diulang dijawab tanpa jawaban lamanya di riwayat
+      const history = replace
+        ? context.conversations.filter(conv => conv.id !== replace.conversationId)
+        : context.conversations;
+
+      // Pesan yang di-reply user ikut dikirim sebagai kutipan
+      const quote = options.quote !== undefined ? options.quote : await this.buildReplyQuote(ctx, history);
+      if (quote === false) {
+        return;
+      }
+
+      // Stream response into a placeholder message (or the previous reply when replacing a turn)
+      const stream = await this.startStreamingReply(ctx, replace?.replyMessageIds);
+      const result = await geminiService.generateResponseStream(quote ? `${quote}\n\n${prompt}` : prompt, {
+        model: preferredModel,
+        generation,
+        systemPrompt: systemPrompt,
+        conversationHistory: history,
+        summary: context.summary,
+        attachments: attachments,
+        document: activeDocument,
+        groupTitle: isGroup ? ctx.chat.title : null,
+        userId: user.id,
+        locale: ctx.state.locale,
+        onChunk: (text) => this.updateStreamingReply(ctx, stream, text)
+      });
+
+      if (!result.success) {
+        await this.failStreamingReply(ctx, stream, `❌ ${result.text}`);
+        return;
+      }
+
+      // Save conversation
+      const extra = { media, chatId, speakerName, usage: result.usage, systemPrompt, quote };
+      const conversationId = replace
+        ? await conversationService.replaceConversation(user.id, replace.conversationId, userMessage, result.text, result.model, extra)
+        : await conversationService.saveConversation(user.id, userMessage, result.text, result.model, extra);
+
+      // Finalize streamed messages with Markdown and the reply buttons
+      const text = result.truncated ? `${result.text}\n\n${this.t(ctx, 'gemini.truncated')}` : result.text;
+      await this.finishStreamingReply(ctx, stream, text, this.buildReplyKeyboard(ctx, conversationId));
+
+      const promptMessageId = replace ? replace.promptMessageId : ctx.message?.message_id || null;
+      await conversationService.rememberLastTurn(user.id, chatId, {
+        conversationId,
+        userId: user.id,
+        promptMessageId,
+        replyMessageIds: stream.messageIds,
+        prompt: options.prompt || null,
+        quote,
+        media
+      });
+      await conversationService.linkMessages(ctx.chat.id, conversationId, { promptMessageId, replyMessageIds: stream.messageIds });
+
+    } catch (error) {
+      console.error('Error processing message:', error);
+      await ctx.reply(this.t(ctx, 'common.processingError'));
+    }
+  }
+
+  // Kutipan pesan yang di-reply (jawaban bot, pesan user, pesan forward atau caption foto) untuk prompt Gemini.
+  // Jawaban bot dicari lewat message_links sehingga tetap utuh walau dipecah jadi beberapa pesan atau bot sudah restart
+  // Mengembalikan false jika kutipan ditolak moderasi atau terlalu panjang (user sudah diberi tahu)
+  async buildReplyQuote(ctx, history) {
+    const message = ctx.message;
+    const replyTo = message?.reply_to_message;
+    // Bagian pesan yang dipilih user saat me-reply, juga untuk reply ke chat lain
+    const fragment = message?.quote?.text;
+
+    if (!replyTo && !fragment) {
+      return null;
+    }
+
+    let text = replyTo ? replyTo.text || replyTo.caption || '' : '';
+    let source;
+    // Jawaban tersimpan berasal dari bot sendiri, hanya teks dari Telegram yang dibersihkan
+    let stored = false;
+
+    const origin = replyTo?.forward_origin || message.external_reply?.origin;
+    if (origin) {
+      source = `a forwarded message from ${this.describeForwardOrigin(origin)}`;
+    } else if (!replyTo) {
+      source = 'a message from another chat';
+    } else if (replyTo.from?.id === ctx.botInfo?.id) {
+      const turn = await conversationService.findTurnByMessage(ctx.chat.id, replyTo.message_id);
+      if (turn?.role === 'reply') {
+        // Jawaban terbaru sudah ada di riwayat
+        if (!fragment && history[history.length - 1]?.id === turn.id) {
+          return null;
+        }
+        text = turn.response;
+        stored = !fragment;
+        source = `your earlier answer to "${this.truncateText(turn.message, 200)}"`;
+      } else {
+        source = 'an earlier message of yours';
+      }
+    } else if (replyTo.from?.id === ctx.from.id) {
+      source = 'their own earlier message';
+    } else {
+      source = `a message from ${replyTo.from ? this.getSpeakerName(replyTo.from) : 'another user'}`;
+    }
+
+    const quoted = stored ? text.trim() : securityMiddleware.sanitizeInput(fragment || text);
+    if (!quoted) {
+      return null;
+    }
+
+    // Teks kutipan dari Telegram diperiksa seperti pesan biasa; false berarti pesan ditolak
+    if (!stored) {
+      if (quoted.length > securityMiddleware.maxMessageLength) {
+        await ctx.reply(this.t(ctx, 'security.messageTooLong', { max: securityMiddleware.maxMessageLength, length: quoted.length }));
+        return false;
+      }
+      if (!(await securityMiddleware.moderateMessage(ctx, quoted, { source: 'quote' }))) {
+        return false;
+      }
+    }
+
+    return `The user is replying to ${source}${fragment ? ' and quotes this part of it' : ''}:\n` +
+           `"""\n${this.truncateText(quoted, this.maxQuoteLength)}\n"""\n` +
+           'Use the quoted text as context for the message below.';
+  }
+
+  describeForwardOrigin(origin) {
+    switch (origin.type) {
+      case 'user':
+        return this.getSpeakerName(origin.sender_user);
+      case 'hidden_user':
+        return origin.sender_user_name;
+      case 'chat':
+        return origin.sender_chat.title || 'a chat';
+      case 'channel':
+        return origin.chat.title || 'a channel';
+      default:
+        return 'an unknown sender';
+    }
+  }
+
+  truncateText(text, maxLength) {
+    return text.length > maxLength ? `${text.substring(0, maxLength)}…` : text;
+  }
+
+  // Tombol di bawah setiap jawaban AI; rating menandai pilihan 👍/👎 user
+  buildReplyKeyboard(ctx, conversationId, rating = null) {
+    return Markup.inlineKeyboard([
+      [
+        Markup.button.callback(this.t(ctx, 'reply.regenerate'), `regen_${conversationId}`),
+        Markup.button.callback(this.t(ctx, 'reply.continue'), `continue_${conversationId}`)
+      ],
+      [
+        Markup.button.callback(rating === 1 ? '✅ 👍' : '👍', `feedback_up_${conversationId}`),
+        Markup.button.callback(rating === -1 ? '✅ 👎' : '👎', `feedback_down_${conversationId}`)
+      ]
+    ]);
+  }
+
+  // Jawaban di grup bisa dipakai semua anggota grup, di chat pribadi hanya pemiliknya
+  async getReplyConversation(ctx, user, conversationId) {
+    const conversation = await database.getConversation(conversationId);
+    if (!conversation) {
+      return null;
+    }
+
+    const allowed = this.isGroupChat(ctx)
+      ? conversation.chat_id === ctx.chat.id
+      : conversation.user_id === user.id && !conversation.chat_id;
+    return allowed ? conversation : null;
   }
 
-  setupCommands() {
-    // Start command
-    this.bot.command('start', async (ctx) => {
-      const user = await database.getOrCreateUser(ctx.from);
-      
-      const welcomeMessage = `
-🤖 *Selamat datang di Gemini Chatbot!*
+  // Lanjutkan jawaban (misalnya yang terpotong), mulai dari akhir teks yang tersimpan
+  async continueResponse(ctx, user, conversationId) {
+    const conversation = await this.getReplyConversation(ctx, user, conversationId);
+    if (!conversation) {
+      await ctx.reply(this.t(ctx, 'reply.continueUnavailable'));
+      return;
+    }
 
-Halo ${ctx.from.first_name}! Saya adalah chatbot yang menggunakan Google Gemini AI untuk membantu Anda.
+    const prompt = 'Your previous answer was cut off at the output length limit. It ended with:\n' +
+                   `"""${conversation.response.slice(-500)}"""\n` +
+                   'Continue exactly where it stopped, without repeating any of it or adding an introduction.';
 
-*Fitur yang tersedia:*
-🧠 Chat dengan AI yang mengingat percakapan
-⚙️ Konfigurasi otomatis dari environment
-🤖 Model AI yang telah dikonfigurasi
-📊 Lihat statistik penggunaan
-🗑️ Hapus riwayat percakapan
+    await this.processMessage(ctx, user, this.t(ctx, 'reply.continueMessage'), { prompt });
+  }
 
-*Perintah yang tersedia:*
-/help - Bantuan lengkap
-/clear - Hapus riwayat percakapan
-/stats - Lihat statistik Anda
-/settings - Pengaturan akun
-/ping - Cek status bot
+  // Ulangi turn terakhir user dengan sampel jawaban baru
+  async regenerateResponse(ctx, user, conversationId) {
+    const chatId = this.isGroupChat(ctx) ? ctx.chat.id : null;
+    const turn = await conversationService.getLastTurn(user.id, chatId);
 
-Silakan mulai chat dengan mengirim pesan apapun!
-      `;
+    if (!turn || turn.conversationId !== conversationId || turn.userId !== user.id) {
+      await ctx.reply(this.t(ctx, 'reply.regenerateUnavailable'));
+      return;
+    }
 
-      await this.sendLongMessage(ctx, welcomeMessage);
-    });
+    const conversation = await database.getConversation(conversationId);
+    if (!conversation) {
+      await ctx.reply(this.t(ctx, 'reply.regenerateUnavailable'));
+      return;
+    }
 
-    // Help command
-    this.bot.command('help', async (ctx) => {
-      const helpMessage = `
-📖 *Panduan Penggunaan Gemini Chatbot*
-
-*Cara Chat:*
-• Kirim pesan biasa untuk chat dengan AI
-• AI akan mengingat percakapan sebelumnya
-• Respon AI akan disesuaikan dengan konteks
-
-*Perintah Dasar:*
-/start - Mulai menggunakan bot
-/help - Tampilkan panduan ini
-/ping - Cek status bot dan koneksi
-
-*Manajemen Data:*
-/clear - Hapus semua riwayat percakapan
-/stats - Lihat statistik penggunaan
-/settings - Pengaturan akun Anda
-
-*Tips:*
-• Bot mengingat 20 pesan terakhir untuk konteks
-• Rate limit: 10 pesan per menit
-• Maksimal 4000 karakter per pesan
-• Gunakan model Flash untuk respon cepat
-• Gunakan model Pro untuk analisis kompleks
-
-Jika ada masalah, coba /ping untuk cek status bot.
-      `;
+    await this.rerunTurn(ctx, user, turn, conversation.message);
+  }
 
-      await this.sendLongMessage(ctx, helpMessage);
-    });
+  // Prompt turn terakhir diedit: jalankan ulang dan perbarui turn serta balasannya
+  async handleEditedMessage(ctx) {
+    const message = ctx.editedMessage;
+    const text = message.text ?? message.caption;
+    if (text === undefined || text.startsWith('/')) {
+      return;
+    }
 
-    // Clear command
-    this.bot.command('clear', async (ctx) => {
-      const user = await database.getOrCreateUser(ctx.from);
-      const success = await conversationService.clearConversationHistory(user.id);
-      
-      if (success) {
-        await ctx.reply('🗑️ Riwayat percakapan berhasil dihapus. Percakapan baru akan dimulai tanpa konteks sebelumnya.');
-      } else {
-        await ctx.reply('❌ Gagal menghapus riwayat percakapan. Silakan coba lagi.');
-      }
-    });
+    const user = await database.getOrCreateUser(ctx.from);
+    const chatId = this.isGroupChat(ctx) ? ctx.chat.id : null;
+    const turn = await conversationService.getLastTurn(user.id, chatId);
 
-    // Stats command
-    this.bot.command('stats', async (ctx) => {
-      const user = await database.getOrCreateUser(ctx.from);
-      const summary = await conversationService.getConversationSummary(user.id);
-      const stats = await conversationService.getConversationStats(user.id);
-      const settings = await database.getUserSettings(user.id);
+    if (!turn || turn.promptMessageId !== message.message_id || turn.userId !== user.id) {
+      return;
+    }
 
-      if (!summary || summary.messageCount === 0) {
-        await ctx.reply('📊 Belum ada percakapan. Mulai chat untuk melihat statistik!');
+    // Voice note dan audio dijawab dari transkripnya, caption-nya bukan prompt
+    if (turn.media && turn.media.type !== 'image') {
+      return;
+    }
+
+    const userMessage = securityMiddleware.sanitizeInput(this.stripBotMention(ctx, text));
+    if (!userMessage && !turn.media) {
+      return;
+    }
+
+    await this.rerunTurn(ctx, user, turn, userMessage || this.t(ctx, 'media.describeImage'));
+  }
+
+  // Jalankan ulang turn; gambar diunduh lagi dari Telegram karena lampiran tidak disimpan
+  async rerunTurn(ctx, user, turn, userMessage) {
+    const options = { replace: turn, media: turn.media, prompt: turn.prompt || undefined, quote: turn.quote || null };
+
+    if (turn.media?.type === 'image') {
+      try {
+        const data = await this.downloadTelegramFile(ctx, turn.media.fileId, securityMiddleware.maxImageSize);
+        options.attachments = [{ mimeType: turn.media.mimeType || 'image/jpeg', data: data.toString('base64') }];
+      } catch (error) {
+        console.error('Error downloading image:', error);
+        await ctx.reply(this.t(ctx, 'media.imageDownloadFailed'));
         return;
       }
+    }
 
-      let message = `📊 *Statistik Anda:*\n\n`;
-      message += `💬 Total pesan: ${summary.messageCount}\n`;
-      message += `📅 Interaksi pertama: ${new Date(summary.firstInteraction).toLocaleDateString('id-ID')}\n`;
-      message += `🕐 Interaksi terakhir: ${new Date(summary.lastInteraction).toLocaleDateString('id-ID')}\n\n`;
+    await this.processMessage(ctx, user, userMessage, options);
+  }
 
-      if (stats && stats.modelUsage.length > 0) {
-        message += `🤖 *Penggunaan Model:*\n`;
-        stats.modelUsage.forEach(usage => {
-          message += `• ${usage.model}: ${usage.count} (${usage.percentage}%)\n`;
-        });
-        message += `\n`;
+  // Simpan 👍/👎 dan tandai pilihan di tombol pesan tersebut
+  async saveReplyFeedback(ctx, user, conversationId, rating) {
+    const conversation = await this.getReplyConversation(ctx, user, conversationId);
+    if (!conversation) {
+      await ctx.reply(this.t(ctx, 'reply.feedbackUnavailable'));
+      return;
+    }
+
+    const changed = await feedbackService.rate(conversationId, user.id, rating);
+    await ctx.editMessageReplyMarkup(this.buildReplyKeyboard(ctx, conversationId, rating).reply_markup)
+      .catch(error => {
+        if (!this.isMessageNotModified(error)) {
+          console.error('Error updating feedback buttons:', error);
+        }
+      });
+
+    if (!changed) {
+      return;
+    }
+
+    // Komentar opsional: user cukup membalas pesan ini
+    const prompt = await ctx.reply(this.t(ctx, rating > 0 ? 'reply.feedbackCommentUp' : 'reply.feedbackCommentDown'),
+      Markup.forceReply().selective().placeholder(this.t(ctx, 'reply.feedbackCommentPlaceholder')));
+    await feedbackService.requestComment(ctx.chat.id, prompt.message_id, conversationId, user.id);
+  }
+
+  // Simpan pesan sebagai komentar jika membalas pertanyaan masukan milik user ini
+  async saveFeedbackComment(ctx, user, text) {
+    const replyTo = ctx.message.reply_to_message;
+    if (!replyTo || replyTo.from?.id !== ctx.botInfo.id) {
+      return false;
+    }
+
+    try {
+      if (!(await feedbackService.saveComment(ctx.chat.id, replyTo.message_id, user.id, text))) {
+        return false;
       }
+    } catch (error) {
+      console.error('Error saving feedback comment:', error);
+      await ctx.reply(this.t(ctx, 'reply.feedbackCommentFailed'));
+      return true;
+    }
 
-      const currentModel = process.env.GEMINI_MODEL || 'gemini-1.5-flash';
-      
-      message += `⚙️ *Konfigurasi Bot:*\n`;
-      message += `• Model: ${currentModel} (fixed)\n`;
-      message += `• System Prompt: Default (fixed)`;
+    await ctx.reply(this.t(ctx, 'reply.feedbackCommentSaved'));
+    return true;
+  }
 
-      await this.sendLongMessage(ctx, message);
+  // Download gambar dari Telegram dan kirim ke Gemini bersama caption
+  async processImage(ctx, file, mimeType) {
+    const validation = securityMiddleware.validateImage(file, mimeType, ctx.state.locale);
+    if (!validation.valid) {
+      await ctx.reply(validation.error);
+      return;
+    }
+
+    const user = await database.getOrCreateUser(ctx.from);
+    const caption = securityMiddleware.sanitizeInput(this.stripBotMention(ctx, ctx.message.caption || ''));
+    const userMessage = caption || this.t(ctx, 'media.describeImage');
+
+    let data;
+    try {
+      data = await this.downloadTelegramFile(ctx, file.file_id, securityMiddleware.maxImageSize);
+    } catch (error) {
+      console.error('Error downloading image:', error);
+      await ctx.reply(this.t(ctx, 'media.imageDownloadFailed'));
+      return;
+    }
+
+    await this.processMessage(ctx, user, userMessage, {
+      attachments: [{ mimeType, data: data.toString('base64') }],
+      media: { type: 'image', fileId: file.file_id, mimeType }
     });
+  }
 
-    // Settings command
-    this.bot.command('settings', async (ctx) => {
-      const user = await database.getOrCreateUser(ctx.from);
-      
-      const keyboard = Markup.inlineKeyboard([
-        [Markup.button.callback('🗑️ Hapus Riwayat', 'settings_clear')],
-        [Markup.button.callback('📊 Lihat Stats', 'settings_stats')]
-      ]);
+  // Ekstrak teks dokumen, simpan, lalu jawab caption (jika ada) dengan dokumen sebagai konteks
+  async processDocument(ctx, file) {
+    const validation = securityMiddleware.validateDocument(file, ctx.state.locale);
+    if (!validation.valid) {
+      await ctx.reply(validation.error);
+      return;
+    }
 
-      const currentModel = process.env.GEMINI_MODEL || 'gemini-1.5-flash';
+    const user = await database.getOrCreateUser(ctx.from);
 
-      const message = `⚙️ *Pengaturan Akun*\n\n` +
-                     `🤖 Model: ${currentModel} (fixed dari environment)\n` +
-                     `📝 System Prompt: Default (fixed dari environment)\n` +
-                     `👤 User ID: ${user.id}\n\n` +
-                     `Pilih pengaturan yang tersedia:`;
+    if (!(await this.enforceQuota(ctx, user))) {
+      return;
+    }
 
-      await this.sendLongMessage(ctx, message, { reply_markup: keyboard.reply_markup });
+    let data;
+    try {
+      await ctx.sendChatAction('typing');
+      data = await this.downloadTelegramFile(ctx, file.file_id, securityMiddleware.maxDocumentSize);
+    } catch (error) {
+      console.error('Error downloading document:', error);
+      await ctx.reply(this.t(ctx, 'docs.downloadFailed'));
+      return;
+    }
+
+    const settings = await database.getUserSettings(user.id);
+    const result = await documentService.addDocument(user.id, file, data, validation.extension, {
+      model: this.getPreferredModel(settings),
+      userId: user.id,
+      locale: ctx.state.locale
     });
 
-    // Ping command
-    this.bot.command('ping', async (ctx) => {
-      const start = Date.now();
-      const healthCheck = await geminiService.healthCheck();
-      const dbStats = await database.getStats();
-      const securityStats = securityMiddleware.getSecurityStats();
-      const ping = Date.now() - start;
+    if (!result.success) {
+      await ctx.reply(`❌ ${result.error}`);
+      return;
+    }
+
+    const format = (value) => i18n.formatNumber(ctx.state.locale, value);
+    let message = this.t(ctx, 'docs.saved', { name: result.document.fileName, count: format(result.document.length) });
+    if (result.document.truncated) {
+      message += `\n${this.t(ctx, 'docs.truncated', { max: format(documentService.maxDocumentChars) })}`;
+    }
+    if (result.document.incomplete) {
+      message += `\n${this.t(ctx, 'docs.incomplete')}`;
+    }
+    message += `\n\n${this.t(ctx, 'docs.askHint')}`;
+    await ctx.reply(message);
+
+    const caption = securityMiddleware.sanitizeInput(this.stripBotMention(ctx, ctx.message.caption || ''));
+    if (caption) {
+      await this.processMessage(ctx, user, caption, {
+        media: { type: 'document', fileId: file.file_id }
+      });
+    }
+  }
 
-      const message = `🏓 *Status Bot*\n\n` +
-                     `⚡ Ping: ${ping}ms\n` +
-                     `🤖 Gemini API: ${healthCheck.status === 'healthy' ? '✅' : '❌'}\n` +
-                     `💾 Database: ✅ Connected\n` +
-                     `👥 Total Users: ${dbStats.users}\n` +
-                     `💬 Total Messages: ${dbStats.totalMessages}\n` +
-                     `📅 Today Messages: ${dbStats.todayMessages}\n` +
-                     `🔒 Blocked Users: ${securityStats.blockedUsers}`;
+  // Command thread hanya tersedia di chat pribadi (grup memakai memori per grup)
+  async requirePrivateChat(ctx) {
+    if (this.isGroupChat(ctx)) {
+      await ctx.reply(this.t(ctx, 'common.privateOnly'));
+      return false;
+    }
+    return true;
+  }
 
-      await this.sendLongMessage(ctx, message);
+  parseThreadTitle(text) {
+    const title = securityMiddleware.sanitizeInput(text.split(' ').slice(1).join(' '));
+    return title ? title.substring(0, 64) : null;
+  }
+
+  getThreadTitle(ctx, thread) {
+    return thread.title || this.t(ctx, 'thread.untitled', { id: thread.id });
+  }
+
+  // Kirim daftar thread user dengan tombol untuk berpindah
+  async sendThreadList(ctx, user) {
+    const threads = await conversationService.listThreads(user.id);
+
+    let message = `${this.t(ctx, 'thread.listTitle')}\n\n`;
+    threads.forEach(thread => {
+      message += `${this.t(ctx, 'thread.listLine', {
+        marker: thread.is_active ? '✅' : '•',
+        title: this.getThreadTitle(ctx, thread),
+        count: thread.message_count
+      })}\n`;
     });
+    message += `\n${this.t(ctx, 'thread.listFooter')}`;
+
+    const keyboard = Markup.inlineKeyboard(
+      threads.map(thread => [
+        Markup.button.callback(
+          `${thread.is_active ? '✅ ' : ''}${this.getThreadTitle(ctx, thread)}`,
+          `thread_use_${thread.id}`
+        )
+      ])
+    );
+
+    await this.sendLongMessage(ctx, message, { reply_markup: keyboard.reply_markup });
+  }
 
-    // Admin command (if user is admin)
-    this.bot.command('admin', async (ctx) => {
-      if (!securityMiddleware.isAdmin(ctx.from.id)) {
-        await ctx.reply('❌ Anda tidak memiliki akses admin.');
+  // Tangani tombol dari /threads dan /delete
+  async handleThreadAction(ctx, user, action) {
+    if (action === 'thread_keep') {
+      await ctx.reply(this.t(ctx, 'thread.kept'));
+      return;
+    }
+
+    const [, operation, id] = action.split('_');
+    const threadId = parseInt(id);
+
+    if (operation === 'use') {
+      const success = await conversationService.switchThread(user.id, threadId);
+      if (!success) {
+        await ctx.reply(this.t(ctx, 'thread.notFound'));
         return;
       }
 
-      const stats = await database.getStats();
-      const securityStats = securityMiddleware.getSecurityStats();
-      const conversationStats = conversationService.getActiveConversationStats();
-
-      const message = `👑 *Admin Panel*\n\n` +
-                     `📊 *Statistik Sistem:*\n` +
-                     `👥 Users: ${stats.users}\n` +
-                     `💬 Total Messages: ${stats.totalMessages}\n` +
-                     `📅 Today: ${stats.todayMessages}\n\n` +
-                     `🔒 *Keamanan:*\n` +
-                     `🚫 Blocked: ${securityStats.blockedUsers}\n` +
-                     `👑 Admins: ${securityStats.adminUsers}\n\n` +
-                     `💾 *Cache:*\n` +
-                     `🔄 Active: ${conversationStats.activeCacheEntries}`;
+      const thread = await conversationService.getActiveThread(user.id);
+      await ctx.reply(this.t(ctx, 'thread.switched', { title: this.getThreadTitle(ctx, thread) }));
+    } else if (operation === 'delete') {
+      const success = await conversationService.deleteThread(user.id, threadId);
+      await ctx.reply(this.t(ctx, success ? 'thread.deleted' : 'thread.notFound'));
+    }
+  }
 
-      await this.sendLongMessage(ctx, message);
+  // Kirim daftar dokumen user dengan tombol untuk ganti atau hapus
+  async sendDocumentList(ctx, user) {
+    const documents = await documentService.listDocuments(user.id);
+
+    if (documents.length === 0) {
+      await ctx.reply(this.t(ctx, 'docs.empty'));
+      return;
+    }
+
+    let message = `${this.t(ctx, 'docs.listTitle')}\n\n`;
+    documents.forEach(doc => {
+      message += `${this.t(ctx, 'docs.listLine', {
+        marker: doc.is_active ? '✅' : '•',
+        name: doc.file_name,
+        count: i18n.formatNumber(ctx.state.locale, doc.content_length)
+      })}\n`;
     });
+    message += `\n${this.t(ctx, 'docs.listFooter')}`;
+
+    const rows = documents.map(doc => [
+      Markup.button.callback(`${doc.is_active ? '✅ ' : ''}${doc.file_name}`, `doc_use_${doc.id}`),
+      Markup.button.callback('🗑️', `doc_forget_${doc.id}`)
+    ]);
+    rows.push([Markup.button.callback(this.t(ctx, 'docs.buttonNone'), 'doc_none')]);
+
+    await this.sendLongMessage(ctx, message, { reply_markup: Markup.inlineKeyboard(rows).reply_markup });
   }
 
-  setupMessageHandlers() {
-    // Handle regular text messages
-    this.bot.on('text', async (ctx) => {
-      // Skip if it's a command
-      if (ctx.message.text.startsWith('/')) {
-        return;
-      }
+  // Tangani tombol dari /docs
+  async handleDocumentAction(ctx, user, action) {
+    if (action === 'doc_none') {
+      await documentService.useDocument(user.id, null);
+      await ctx.reply(this.t(ctx, 'docs.off'));
+      return;
+    }
 
-      const user = await database.getOrCreateUser(ctx.from);
-      const userMessage = securityMiddleware.sanitizeInput(ctx.message.text);
+    const [, operation, id] = action.split('_');
+    const documentId = parseInt(id);
 
-      try {
-        // Show typing indicator
-        await ctx.sendChatAction('typing');
-
-        // Use settings from environment (no user customization)
-        const preferredModel = process.env.GEMINI_MODEL || 'gemini-1.5-flash';
-        const systemPrompt = null; // Always use default from environment
-        const maxContext = parseInt(process.env.MAX_CONTEXT_MESSAGES) || 20;
-
-        // Get conversation history
-        const conversationHistory = await conversationService.getRecentContextForAI(user.id, maxContext);
-
-        // Generate response
-        const result = await geminiService.generateResponse(userMessage, {
-          model: preferredModel,
-          systemPrompt: systemPrompt,
-          conversationHistory: conversationHistory,
-          userId: user.id
-        });
+    if (operation === 'use') {
+      const success = await documentService.useDocument(user.id, documentId);
+      await ctx.reply(this.t(ctx, success ? 'docs.switched' : 'docs.notFound'));
+    } else if (operation === 'forget') {
+      const success = await documentService.forgetDocument(user.id, documentId);
+      await ctx.reply(this.t(ctx, success ? 'docs.forgotten' : 'docs.notFound'));
+    }
+  }
+
+  // Transkripsi audio dengan Gemini lalu jawab transkripnya seperti pesan teks
+  async processAudio(ctx, file, mimeType, mediaType) {
+    const validation = securityMiddleware.validateAudio(file, mimeType, ctx.state.locale);
+    if (!validation.valid) {
+      await ctx.reply(validation.error);
+      return;
+    }
+
+    const user = await database.getOrCreateUser(ctx.from);
+
+    if (!(await this.enforceQuota(ctx, user))) {
+      return;
+    }
+
+    let data;
+    try {
+      await ctx.sendChatAction('typing');
+      data = await this.downloadTelegramFile(ctx, file.file_id, securityMiddleware.maxAudioSize);
+    } catch (error) {
+      console.error('Error downloading audio:', error);
+      await ctx.reply(this.t(ctx, 'media.audioDownloadFailed'));
+      return;
+    }
+
+    const settings = await database.getUserSettings(user.id);
+    const transcription = await geminiService.transcribeAudio(
+      { mimeType, data: data.toString('base64') },
+      { model: this.getPreferredModel(settings), userId: user.id, locale: ctx.state.locale }
+    );
+
+    if (!transcription.success) {
+      await ctx.reply(`❌ ${transcription.text}`);
+      return;
+    }
+
+    const transcript = securityMiddleware.sanitizeInput(transcription.text);
+
+    // Transkrip diperlakukan seperti pesan teks: batas panjang yang sama, lalu moderasi
+    if (transcript.length > securityMiddleware.maxMessageLength) {
+      await ctx.reply(this.t(ctx, 'security.messageTooLong', { max: securityMiddleware.maxMessageLength, length: transcript.length }));
+      return;
+    }
+
+    if (!(await securityMiddleware.moderateMessage(ctx, transcript, { source: mediaType }))) {
+      return;
+    }
+
+    // Transkrip bisa melebihi batas 4096 karakter per pesan Telegram, jadi dikirim lewat sendLongMessage
+    if (this.showVoiceTranscript) {
+      await this.sendLongMessage(ctx, this.t(ctx, 'media.transcript', { text: transcript }));
+    }
+
+    await this.processMessage(ctx, user, transcript, {
+      media: { type: mediaType, fileId: file.file_id }
+    });
+  }
 
-        if (!result.success) {
-          await ctx.reply(`❌ ${result.text}`);
+  // Download file dari Telegram file API sebagai Buffer
+  async downloadTelegramFile(ctx, fileId, maxSize) {
+    const link = await ctx.telegram.getFileLink(fileId);
+
+    return new Promise((resolve, reject) => {
+      https.get(link.href, (response) => {
+        if (response.statusCode !== 200) {
+          response.resume();
+          reject(new Error(`Failed to download file: HTTP ${response.statusCode}`));
           return;
         }
 
-        // Save conversation
-        await conversationService.saveConversation(user.id, userMessage, result.text, result.model);
+        const chunks = [];
+        let size = 0;
+
+        response.on('data', (chunk) => {
+          size += chunk.length;
+          if (maxSize && size > maxSize) {
+            response.destroy(new Error('File exceeds maximum allowed size'));
+            return;
+          }
+          chunks.push(chunk);
+        });
+        response.on('end', () => resolve(Buffer.concat(chunks)));
+        response.on('error', reject);
+      }).on('error', reject);
+    });
+  }
 
-        // Send response (split if too long)
-        await this.sendLongMessage(ctx, result.text);
+  // Kirim placeholder yang akan diedit selama streaming, atau pakai ulang balasan lama saat turn diulang
+  async startStreamingReply(ctx, replyMessageIds = null) {
+    const isGroup = this.isGroupChat(ctx);
+    const placeholderText = this.t(ctx, 'media.thinking');
+    let placeholderId;
 
-      } catch (error) {
-        console.error('Error processing message:', error);
-        await ctx.reply('❌ Maaf, terjadi kesalahan saat memproses pesan Anda. Silakan coba lagi.');
+    if (replyMessageIds?.length) {
+      const [firstMessageId, ...extraMessageIds] = replyMessageIds;
+
+      // Edit tanpa reply_markup sekaligus menghapus tombol jawaban lama
+      await this.editStreamingMessage(ctx, ctx.chat.id, firstMessageId, placeholderText);
+      for (const messageId of extraMessageIds) {
+        await ctx.telegram.deleteMessage(ctx.chat.id, messageId).catch(console.error);
       }
-    });
+      placeholderId = firstMessageId;
+    } else {
+      // Pemicu bisa berupa pesan user atau tombol inline di pesan bot
+      const triggerMessageId = ctx.message?.message_id || ctx.callbackQuery?.message?.message_id;
+
+      // Di grup, balas pesan pemicunya agar jelas jawaban untuk siapa
+      const placeholder = await ctx.reply(placeholderText, isGroup && triggerMessageId
+        ? { reply_parameters: { message_id: triggerMessageId, allow_sending_without_reply: true } }
+        : {});
+      placeholderId = placeholder.message_id;
+    }
 
-    // Handle callback queries (inline buttons)
-    this.bot.on('callback_query', async (ctx) => {
-      const action = ctx.callbackQuery.data;
+    return {
+      chatId: ctx.chat.id,
+      messageIds: [placeholderId],
+      rendered: [placeholderText],
+      lastEditAt: 0,
+      // Telegram membatasi edit di grup lebih ketat (sekitar 20 per menit)
+      editInterval: isGroup ? Math.max(this.streamEditInterval, 3000) : this.streamEditInterval
+    };
+  }
 
-      await ctx.answerCbQuery();
+  // Update pesan streaming, dibatasi interval agar tidak melebihi limit edit Telegram
+  async updateStreamingReply(ctx, stream, text) {
+    if (Date.now() - stream.lastEditAt < stream.editInterval) {
+      return;
+    }
 
-      switch (action) {
-        case 'settings_model':
-          await ctx.reply('Model AI telah dikonfigurasi dari environment dan tidak dapat diubah.');
-          break;
-        case 'settings_prompt':
-          await ctx.reply('System prompt telah dikonfigurasi dari environment dan tidak dapat diubah.');
-          break;
-        case 'settings_clear':
-          await ctx.reply('Gunakan /clear untuk menghapus riwayat percakapan.');
-          break;
-        case 'settings_stats':
-          await ctx.reply('Gunakan /stats untuk melihat statistik penggunaan.');
-          break;
+    stream.lastEditAt = Date.now();
+
+    try {
+      await this.renderStreamingReply(ctx, stream, text, false);
+    } catch (error) {
+      // Edit yang gagal di tengah streaming tidak fatal, hasil akhir tetap dikirim
+      console.error('Error updating streaming message:', error);
+    }
+  }
+
+  // Finalisasi pesan streaming dengan Markdown
+  async finishStreamingReply(ctx, stream, text, keyboard = null) {
+    await this.renderStreamingReply(ctx, stream, text, true, keyboard);
+  }
+
+  // Ganti placeholder dengan pesan error dan hapus pesan lanjutan
+  async failStreamingReply(ctx, stream, text) {
+    const [firstMessageId, ...extraMessageIds] = stream.messageIds;
+
+    await this.editStreamingMessage(ctx, stream.chatId, firstMessageId, text);
+
+    for (const messageId of extraMessageIds) {
+      await ctx.telegram.deleteMessage(stream.chatId, messageId).catch(console.error);
+    }
+  }
+
+  // Render teks streaming ke satu atau lebih pesan, pindah ke pesan baru jika melebihi limit
+  async renderStreamingReply(ctx, stream, text, final, keyboard = null) {
+    const segments = this.splitStreamingText(text, this.streamMessageLimit);
+
+    for (let i = 0; i < segments.length; i++) {
+      const isLast = i === segments.length - 1;
+      const segmentText = !final && isLast ? `${segments[i].trimEnd()} ▌` : segments[i];
+
+      if (i >= stream.messageIds.length) {
+        const sent = await ctx.reply(segmentText, { disable_web_page_preview: true });
+        stream.messageIds.push(sent.message_id);
+        stream.rendered.push(segmentText);
+
+        if (!final) {
+          continue;
+        }
+      } else if (!final && stream.rendered[i] === segmentText) {
+        continue;
+      } else if (!final) {
+        await this.editStreamingMessage(ctx, stream.chatId, stream.messageIds[i], segmentText);
+        stream.rendered[i] = segmentText;
+        continue;
       }
-    });
+
+      // Tombol jawaban hanya di pesan terakhir
+      const extra = isLast && keyboard ? { reply_markup: keyboard.reply_markup } : {};
+      await this.editMessageWithMarkdown(ctx, stream.chatId, stream.messageIds[i], segmentText, extra);
+      stream.rendered[i] = segmentText;
+    }
+
+    // Hapus pesan sisa jika teks akhir lebih pendek dari hasil streaming
+    if (final && stream.messageIds.length > segments.length) {
+      const extraMessageIds = stream.messageIds.splice(segments.length);
+      stream.rendered.splice(segments.length);
+
+      for (const messageId of extraMessageIds) {
+        await ctx.telegram.deleteMessage(stream.chatId, messageId).catch(console.error);
+      }
+    }
   }
 
-  setupErrorHandling() {
-    this.bot.catch((err, ctx) => {
-      console.error('Bot error:', err);
-      
-      if (ctx && ctx.reply) {
-        ctx.reply('❌ Terjadi kesalahan sistem. Tim teknis telah diberitahu.')
-          .catch(console.error);
+  // Edit pesan sebagai plain text, abaikan error "message is not modified"
+  async editStreamingMessage(ctx, chatId, messageId, text) {
+    try {
+      await ctx.telegram.editMessageText(chatId, messageId, undefined, text, {
+        disable_web_page_preview: true
+      });
+    } catch (error) {
+      if (!this.isMessageNotModified(error)) {
+        throw error;
       }
-    });
+    }
+  }
 
-    // Handle graceful shutdown
-    process.once('SIGINT', () => this.stop('SIGINT'));
-    process.once('SIGTERM', () => this.stop('SIGTERM'));
+  // Edit pesan dengan Markdown, fallback ke markdown yang dibersihkan lalu plain text
+  async editMessageWithMarkdown(ctx, chatId, messageId, text, extra = {}) {
+    const options = { disable_web_page_preview: true, ...extra };
+    const attempts = [
+      () => ctx.telegram.editMessageText(chatId, messageId, undefined, text, { ...options, parse_mode: 'Markdown' }),
+      () => ctx.telegram.editMessageText(chatId, messageId, undefined, this.cleanMarkdown(text), { ...options, parse_mode: 'Markdown' }),
+      () => ctx.telegram.editMessageText(chatId, messageId, undefined, this.markdownToPlainText(text), options)
+    ];
+
+    let lastError = null;
+    for (const attempt of attempts) {
+      try {
+        await attempt();
+        return;
+      } catch (error) {
+        if (this.isMessageNotModified(error)) {
+          return;
+        }
+        console.log('Markdown edit failed, trying next fallback');
+        lastError = error;
+      }
+    }
+
+    throw lastError;
+  }
+
+  isMessageNotModified(error) {
+    return (error.description || error.message || '').includes('message is not modified');
+  }
+
+  // Pecah teks streaming per batas pesan, usahakan di akhir baris atau kata
+  splitStreamingText(text, maxLength) {
+    const segments = [];
+    let remaining = text;
+
+    while (remaining.length > maxLength) {
+      let cut = remaining.lastIndexOf('\n', maxLength);
+      if (cut < maxLength / 2) {
+        cut = remaining.lastIndexOf(' ', maxLength);
+      }
+      if (cut < maxLength / 2) {
+        cut = maxLength;
+      }
+
+      segments.push(remaining.substring(0, cut).trimEnd());
+      remaining = remaining.substring(cut).trimStart();
+    }
+
+    segments.push(remaining || '…');
+    return segments;
   }
 
   // Method untuk mengirim pesan panjang yang dipecah otomatis
@@ -351,7 +2543,7 @@ Jika ada masalah, coba /ping untuk cek status bot.
         return;
       } catch (error) {
         console.error('Error sending message:', error);
-        await ctx.reply('❌ Terjadi kesalahan saat mengirim pesan.');
+        await ctx.reply(this.t(ctx, 'common.sendError'));
         return;
       }
     }
@@ -367,12 +2559,14 @@ Jika ada masalah, coba /ping untuk cek status bot.
         
         // Tambahkan indikator jika ada multiple chunks
         if (chunks.length > 1) {
+          const continues = this.t(ctx, 'common.messageContinues');
+          const continued = this.t(ctx, 'common.messageContinued');
           if (i === 0) {
-            chunkText = `${chunkText}\n\n_📄 Pesan dilanjutkan..._`;
+            chunkText = `${chunkText}\n\n${continues}`;
           } else if (i === chunks.length - 1) {
-            chunkText = `_📄 ...lanjutan pesan_\n\n${chunkText}`;
+            chunkText = `${continued}\n\n${chunkText}`;
           } else {
-            chunkText = `_📄 ...lanjutan pesan_\n\n${chunkText}\n\n_📄 Pesan dilanjutkan..._`;
+            chunkText = `${continued}\n\n${chunkText}\n\n${continues}`;
           }
         }
 
@@ -417,7 +2611,7 @@ Jika ada masalah, coba /ping untuk cek status bot.
         }
       } catch (error) {
         console.error(`Error sending chunk ${i + 1}:`, error);
-        await ctx.reply(`❌ Terjadi kesalahan saat mengirim bagian ${i + 1} dari pesan.`);
+        await ctx.reply(this.t(ctx, 'common.sendChunkError', { part: i + 1 }));
         break;
       }
     }
@@ -818,8 +3012,12 @@ Jika ada masalah, coba /ping untuk cek status bot.
     try {
       console.log('Starting Telegram bot...');
       
-      // Initialize database
+      // Initialize database and restore persisted blocks
       await database.initialize();
+      await securityMiddleware.loadBlockedUsers();
+
+      // Reload moderation rules whenever the rules file changes
+      moderationService.watch();
       
       // Test Gemini connection
       const healthCheck = await geminiService.healthCheck();
@@ -857,6 +3055,7 @@ Jika ada masalah, coba /ping untuk cek status bot.
     
     try {
       await this.bot.stop(signal);
+      moderationService.unwatch();
       await database.close();
       console.log('Bot stopped successfully');
       process.exit(0);
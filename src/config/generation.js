@@ -0,0 +1,89 @@
+// Generation presets users pick in /settings; labels live in the message catalog under generation.options
+const GENERATION_OPTIONS = {
+  creativity: {
+    column: 'creativity',
+    default: 'balanced',
+    presets: {
+      precise: { temperature: 0.2, topP: 0.8, topK: 20 },
+      balanced: { temperature: 0.7, topP: 0.95, topK: 40 },
+      creative: { temperature: 1.0, topP: 0.98, topK: 64 }
+    }
+  },
+  length: {
+    column: 'response_length',
+    default: 'medium',
+    presets: {
+      short: { maxOutputTokens: 512 },
+      medium: { maxOutputTokens: 2048 },
+      long: { maxOutputTokens: 8192 }
+    }
+  },
+  safety: {
+    column: 'safety_level',
+    default: 'standard',
+    presets: {
+      strict: { safetyThreshold: 'BLOCK_LOW_AND_ABOVE' },
+      standard: { safetyThreshold: 'BLOCK_MEDIUM_AND_ABOVE' },
+      relaxed: { safetyThreshold: 'BLOCK_ONLY_HIGH' },
+      off: { safetyThreshold: 'BLOCK_NONE' }
+    }
+  }
+};
+
+// Safety levels users may choose, set by the bot admin (strictest first)
+const configuredSafetyLevels = (process.env.ALLOWED_SAFETY_LEVELS || 'strict,standard,relaxed')
+  .split(',')
+  .map(level => level.trim().toLowerCase())
+  .filter(level => GENERATION_OPTIONS.safety.presets[level]);
+const allowedSafetyLevels = Object.keys(GENERATION_OPTIONS.safety.presets)
+  .filter(level => configuredSafetyLevels.includes(level));
+
+function getGenerationFields() {
+  return Object.keys(GENERATION_OPTIONS);
+}
+
+function getGenerationColumn(field) {
+  return GENERATION_OPTIONS[field]?.column || null;
+}
+
+// Values a user may pick for a field
+function getGenerationValues(field) {
+  if (field === 'safety') {
+    return allowedSafetyLevels.length > 0 ? allowedSafetyLevels : [GENERATION_OPTIONS.safety.default];
+  }
+  return Object.keys(GENERATION_OPTIONS[field]?.presets || {});
+}
+
+function isAllowedGenerationValue(field, value) {
+  return getGenerationValues(field).includes(value);
+}
+
+function getDefaultGenerationValue(field) {
+  const values = getGenerationValues(field);
+  return values.includes(GENERATION_OPTIONS[field].default) ? GENERATION_OPTIONS[field].default : values[0];
+}
+
+// Effective preset names and Gemini config from settings rows; the first allowed value wins
+function resolveGeneration(...sources) {
+  const preferences = {};
+  const config = {};
+
+  for (const [field, option] of Object.entries(GENERATION_OPTIONS)) {
+    const value = sources
+      .map(source => source?.[option.column])
+      .find(candidate => candidate && isAllowedGenerationValue(field, candidate)) || getDefaultGenerationValue(field);
+
+    preferences[field] = value;
+    Object.assign(config, option.presets[value]);
+  }
+
+  return { preferences, config };
+}
+
+module.exports = {
+  getGenerationFields,
+  getGenerationColumn,
+  getGenerationValues,
+  isAllowedGenerationValue,
+  resolveGeneration
+};
@@ -56,7 +56,7 @@ process.on('unhandledRejection', (reason, promise) => {
 
 // Cleanup cache periodically (every 30 minutes)
 const conversationService = require('./services/conversation');
-setInterval(() => {
-  conversationService.cleanupCache();
+setInterval(async () => {
+  await conversationService.cleanupCache();
   console.log('🧹 Cache cleanup completed');
 }, 30 * 60 * 1000);
\ No newline at end of file
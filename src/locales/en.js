@@ -0,0 +1,510 @@
+// English catalog. Placeholders use {name}; plural entries are keyed by Intl.PluralRules category.
+module.exports = {
+  language: {
+    name: '🇬🇧 English',
+    current: '🌐 *Language:* {language}{auto}\n\nChoose the bot language below, or use /language [id|en|auto].',
+    autoSuffix: ' (automatic from Telegram)',
+    auto: '🔄 Automatic (follow Telegram)',
+    changed: '✅ Language changed to {language}.',
+    changedAuto: '🔄 Language follows your Telegram settings again: {language}.',
+    unknown: '❌ Language "{input}" is not available. Options: {languages}, auto.'
+  },
+
+  common: {
+    noAdminAccess: '❌ You do not have admin access.',
+    userNotFound: '❌ User not found.',
+    unlimited: 'unlimited',
+    noReason: 'no reason given',
+    permanent: 'permanent',
+    until: 'until {date}',
+    active: 'on',
+    inactive: 'off',
+    cancel: '❌ Cancel',
+    default: 'Default',
+    custom: 'Custom',
+    systemError: '❌ A system error occurred. The technical team has been notified.',
+    processingError: '❌ Sorry, something went wrong while processing your message. Please try again.',
+    sendError: '❌ Something went wrong while sending the message.',
+    sendChunkError: '❌ Something went wrong while sending part {part} of the message.',
+    messageContinues: '_📄 Message continues..._',
+    messageContinued: '_📄 ...message continued_',
+    privateOnly: '💬 This command is only available in a private chat with the bot.',
+    groupOnly: '👥 This command can only be used in groups.'
+  },
+
+  duration: {
+    minutes: { one: '{count} minute', other: '{count} minutes' },
+    hours: { one: '{count} hour', other: '{count} hours' },
+    days: { one: '{count} day', other: '{count} days' },
+    weeks: { one: '{count} week', other: '{count} weeks' }
+  },
+
+  start: {
+    welcome: `
+🤖 *Welcome to Gemini Chatbot!*
+
+Hi {name}! I am a chatbot powered by Google Gemini AI, here to help you.
+
+*Features:*
+🧠 Chat with an AI that remembers the conversation
+🖼️ Send images for the AI to analyze
+🎙️ Send voice notes for the AI to answer
+📄 Ask questions about documents (PDF, TXT, MD, CSV, code)
+⚙️ Automatic configuration from the environment
+🤖 Per-user AI model choice
+📝 Custom system prompts and personas
+🌐 Indonesian and English
+📊 Usage statistics
+🗑️ Clear conversation history
+
+*Available commands:*
+/help - Full help
+/new - Start a new conversation
+/threads - Switch conversations
+/clear - Clear conversation history
+/stats - View your statistics
+/models - Choose an AI model
+/docs - Manage documents
+/prompt - Set the AI personality
+/language - Change language
+/settings - Account settings
+/ping - Check bot status
+
+Send any message to start chatting!
+`
+  },
+
+  help: {
+    text: `
+📖 *Gemini Chatbot Guide*
+
+*Chatting:*
+• Send a regular message to chat with the AI
+• The AI remembers the previous conversation
+• Send a photo (with an optional caption) to ask about the image
+• Send a voice note or audio file and the AI replies in text
+• Reply to an earlier answer or a forwarded message to ask about it
+• Responses adapt to the context
+
+*Basic Commands:*
+/start - Start using the bot
+/help - Show this guide
+/ping - Check bot and connection status
+/language - Change the bot language (id/en)
+
+*Model Settings:*
+/models - View and choose available models
+/model [name] - Switch model (example: /model flash)
+
+*System Prompt:*
+/prompt - View the current prompt and choose a persona
+/prompt set [text] - Set a custom system prompt
+/prompt reset - Go back to the default prompt
+
+*Documents:*
+• Send a PDF, TXT, MD, CSV or source code file to ask about it
+/docs - View, switch or delete documents
+/docs off - Stop using documents
+
+*Groups:*
+• In groups, mention or reply to the bot to ask something
+/groupsettings - Choose when the bot replies (group admins)
+
+*Conversations:*
+/new [title] - Start a new conversation
+/threads - View and switch conversations
+/rename [title] - Rename the active conversation
+/delete - Delete the active conversation
+/summary - View the summary of earlier messages
+
+*Data Management:*
+/clear - Clear the active conversation history
+/stats - View usage statistics
+/quota - View remaining daily and monthly quota
+/settings - Your account settings
+
+*Tips:*
+• The bot remembers recent messages, older ones are summarized automatically
+• Rate limit: 10 messages per minute
+• Maximum 4000 characters per message
+• Use Flash models for fast responses
+• Use Pro models for complex analysis
+
+If something goes wrong, try /ping to check the bot status.
+`
+  },
+
+  clear: {
+    groupAdminOnly: '❌ Only group admins can clear the group conversation history.',
+    success: '🗑️ Conversation history cleared. New messages will start without previous context.',
+    failed: '❌ Failed to clear conversation history. Please try again.'
+  },
+
+  stats: {
+    empty: '📊 No conversations yet. Start chatting to see statistics!',
+    title: '📊 *Your Statistics:*',
+    totalMessages: '💬 Total messages: {count}',
+    firstInteraction: '📅 First interaction: {date}',
+    lastInteraction: '🕐 Last interaction: {date}',
+    modelUsage: '🤖 *Model Usage:*',
+    modelUsageLine: '• {model}: {count} ({percentage}%), {tokens} tokens',
+    tokenUsage: '🔢 *Token Usage:*',
+    promptTokens: '• Prompt: {count}',
+    completionTokens: '• Response: {count}',
+    totalTokens: '• Total: {count}',
+    todayTokens: '• Today: {count}',
+    botConfig: '⚙️ *Bot Configuration:*',
+    model: '• Model: {model}',
+    systemPrompt: '• System Prompt: {prompt}'
+  },
+
+  quota: {
+    fields: {
+      daily_requests: 'Daily requests',
+      daily_tokens: 'Daily tokens',
+      monthly_requests: 'Monthly requests',
+      monthly_tokens: 'Monthly tokens'
+    },
+    reset: {
+      daily: 'tomorrow at 00:00 UTC',
+      monthly: 'on the 1st of next month at 00:00 UTC'
+    },
+    loadFailed: '❌ Failed to load quota data. Please try again.',
+    title: '📦 *Quota for {name}:*',
+    line: '• {label}: {used} / {limit}{remaining}',
+    remaining: ' ({count} left)',
+    resetInfo: '🔄 Daily quotas reset at 00:00 UTC, monthly quotas on the 1st of each month.',
+    override: '👑 A custom quota set by an admin applies.',
+    usage: 'Usage:\n/setquota <telegram_id> <{fields}> <number|unlimited|default>\n/setquota <telegram_id> reset',
+    targetNotFound: '❌ User not found. The user must have used the bot before.',
+    resetDone: '✅ Quota for user {telegramId} restored to the defaults.',
+    resetFailed: '❌ Failed to reset the quota.',
+    invalidValue: '❌ Invalid value. {usage}',
+    setDone: '✅ Quota {field} for user {telegramId} set to {value}.',
+    setFailed: '❌ Failed to set the quota.',
+    globalExceeded: '⛔ The bot\'s service quota for today is used up. Please try again {reset}.',
+    userExceeded: '⛔ Quota used up: {label} ({used}/{limit}).\nIt resets {reset}. Use /quota to see your remaining quota.'
+  },
+
+  settings: {
+    title: '⚙️ *Account Settings*',
+    model: '🤖 Model: {model}',
+    systemPrompt: '📝 System Prompt: {prompt}',
+    language: '🌐 Language: {language}',
+    userId: '👤 User ID: {id}',
+    choose: 'Choose a setting:',
+    buttonModel: '🤖 Change Model',
+    buttonPrompt: '📝 Change Persona',
+    buttonLanguage: '🌐 Change Language',
+    buttonClear: '🗑️ Clear History',
+    buttonStats: '📊 View Stats',
+    clearHint: 'Use /clear to clear the conversation history.',
+    statsHint: 'Use /stats to view usage statistics.'
+  },
+
+  model: {
+    current: '🤖 Current model: {model}\n\nUse /model [name] to switch models, or /models to see the list.',
+    listTitle: '🤖 *Available Models:*',
+    listFooter: 'Choose a model below or use /model [name].',
+    unknown: '❌ Unknown model "{input}". Type /models to see the available models.',
+    changed: '✅ Model changed to {model}.'
+  },
+
+  prompt: {
+    saved: '✅ System prompt saved. It will be used for all following messages.',
+    reset: '🔄 System prompt restored to the default.',
+    usage: '❌ Usage: /prompt [show|set <text>|reset]',
+    title: '📝 *System Prompt:* {name}',
+    choose: 'Choose a persona below, or use /prompt set [text] for a custom prompt (maximum {max} characters).',
+    personaNotFound: '❌ Persona not found.',
+    personaChanged: '✅ Persona changed to {name}.'
+  },
+
+  thread: {
+    createFailed: '❌ Failed to create a new conversation. Please try again.',
+    created: '🆕 New conversation "{title}" started.',
+    createdUntitled: '🆕 New conversation started. The title is generated from your first message.',
+    renameUsage: '❌ Usage: /rename [new title]',
+    renamed: '✏️ Conversation renamed to "{title}".',
+    renameFailed: '❌ Failed to rename the conversation.',
+    noActive: '❌ No active conversation.',
+    confirmDelete: 'Delete conversation "{title}" and its entire history?',
+    buttonDelete: '🗑️ Yes, delete',
+    untitled: 'Conversation #{id}',
+    listTitle: '🧵 *Your Conversations:*',
+    listLine: '{marker} {title} ({count} messages)',
+    listFooter: 'Choose a conversation to continue, or /new to start a new one.',
+    kept: '👍 Conversation kept.',
+    notFound: '❌ Conversation not found.',
+    switched: '🧵 Switched to "{title}".',
+    deleted: '🗑️ Conversation deleted.'
+  },
+
+  summary: {
+    empty: '📝 No summary yet. Summaries are created automatically once a conversation gets long.',
+    title: '📝 *Conversation Summary*\n_Updated: {date}_'
+  },
+
+  docs: {
+    off: '📄 Documents are no longer used as context.',
+    empty: '📄 No documents yet. Send a PDF, TXT, MD, CSV or source code file to start asking about it.',
+    listTitle: '📄 *Your Documents:*',
+    listLine: '{marker} {name} ({count} characters)',
+    listFooter: 'Choose a document to use as context, or 🗑️ to delete it.',
+    buttonNone: '❌ Don\'t use a document',
+    switched: '✅ Active document changed.',
+    notFound: '❌ Document not found.',
+    forgotten: '🗑️ Document deleted.',
+    downloadFailed: '❌ Failed to download the document. Please try again.',
+    saved: '📄 Document "{name}" saved and now active ({count} characters).',
+    truncated: '⚠️ The document is too long, only the first {max} characters are used.',
+    incomplete: '⚠️ Not all of the text could be read from this document, answers may miss its later parts.',
+    askHint: 'Ask your questions about this document. Use /docs to manage documents.',
+    notText: 'The file is not a valid text document.',
+    noText: 'The document does not contain readable text.',
+    saveFailed: 'Failed to save the document.'
+  },
+
+  group: {
+    policies: {
+      mention: '📣 When mentioned or replied to',
+      reply: '↩️ Only when its messages are replied to',
+      all: '💬 Every message'
+    },
+    adminOnly: '❌ Only group admins can change the group settings.',
+    settings: '👥 *Group Settings*\n\nThe bot replies: {policy}\nCommands (/command) are always answered.\n\nChoose when the bot replies in this group:',
+    changed: '✅ The bot now replies: {policy}'
+  },
+
+  reply: {
+    regenerate: '🔄 Regenerate',
+    continue: '➡️ Continue',
+    continueMessage: 'Continue',
+    continueUnavailable: '❌ This answer can no longer be continued.',
+    regenerateUnavailable: '❌ Only your latest answer can be regenerated.',
+    feedbackUnavailable: '❌ This answer can no longer be rated.',
+    feedbackCommentUp: '🙏 Thanks! Reply to this message if you want to tell us what you liked (optional).',
+    feedbackCommentDown: '🙏 Thanks! What went wrong? Reply to this message to tell us (optional).',
+    feedbackCommentPlaceholder: 'Your feedback',
+    feedbackCommentSaved: '✅ Thanks, your feedback has been saved.',
+    feedbackCommentFailed: '❌ Failed to save your feedback.'
+  },
+
+  generation: {
+    fields: {
+      creativity: '🎨 Creativity',
+      length: '📏 Response Length',
+      safety: '🛡️ Safety Filter'
+    },
+    options: {
+      creativity: { precise: '🎯 Precise', balanced: '⚖️ Balanced', creative: '✨ Creative' },
+      length: { short: '📄 Short', medium: '📑 Medium', long: '📚 Long' },
+      safety: { strict: '🔒 Strict', standard: '🛡️ Standard', relaxed: '🔓 Relaxed', off: '⚠️ Off' }
+    },
+    summary: '🎛️ Responses: {creativity} · {length} · filter {safety}',
+    groupSummary: '🎛️ Responses in this group: {creativity} · {length} · filter {safety}',
+    inherit: '👤 Follow user settings',
+    choose: '{field}: {value}\n\nChoose one:',
+    chooseGroup: '{field} for this group: {value}\n\nChoose one:',
+    changed: '✅ {field} changed to {value}.',
+    changedGroup: '✅ {field} for this group changed to {value}.',
+    notAllowed: '❌ That option is not allowed by the bot admin.'
+  },
+
+  ping: {
+    text: '🏓 *Bot Status*\n\n' +
+          '⚡ Ping: {ping}ms\n' +
+          '🤖 Gemini API: {gemini}\n' +
+          '💾 Database: ✅ Connected\n' +
+          '👥 Total Users: {users}\n' +
+          '💬 Total Messages: {totalMessages}\n' +
+          '📅 Today Messages: {todayMessages}\n' +
+          '🔒 Blocked Users: {blockedUsers}'
+  },
+
+  admin: {
+    panel: '👑 *Admin Panel*\n\n' +
+           '📊 *System Statistics:*\n' +
+           '👥 Users: {users}\n' +
+           '💬 Total Messages: {totalMessages}\n' +
+           '📅 Today: {todayMessages}\n' +
+           '🔢 Tokens Today: {todayTokens}\n\n' +
+           '🔒 *Security:*\n' +
+           '🚫 Blocked: {blockedUsers}\n' +
+           '👑 Admins: {adminUsers}\n\n' +
+           '💾 *Cache:*\n' +
+           '🔄 Active: {activeCacheEntries}\n' +
+           '🗄️ Store: {store}\n\n' +
+           '📜 /admin events [user id] - Security log\n' +
+           '🚫 /admin blocked - Blocked users\n' +
+           '👍 /admin feedback [days] - Answer satisfaction\n' +
+           '⛔ /block, /unblock - Block or unblock a user\n' +
+           '👤 /user [user id] - User profile and usage\n' +
+           '👑 /admins - Manage admins\n' +
+           '🛡️ /moderation - Moderation rules\n' +
+           '📢 /broadcast [message] - Message all users',
+    eventsFailed: '❌ Failed to load the security log.',
+    eventsEmpty: '📜 No security events yet.',
+    eventsForUser: '📜 Security log for user {telegramId}:',
+    eventsRecent: '📜 Latest security events:',
+    blockedEmpty: '✅ No users are blocked.',
+    blockedTitle: '🚫 Blocked users ({count}):',
+    blockedLine: '• {userId} - {reason} ({until})',
+    feedbackFailed: '❌ Failed to load answer feedback.',
+    feedbackEmpty: '👍 No answers were rated in the last {days} days.',
+    feedbackTitle: '👍 Answer satisfaction, last {days} days:',
+    feedbackTotal: 'All answers',
+    feedbackByModel: '🤖 By model:',
+    feedbackByPrompt: '📝 By system prompt:',
+    feedbackByWeek: '📅 By week:',
+    feedbackLine: '{satisfaction}% (👍 {positive} / 👎 {negative}, 💬 {comments})',
+    feedbackExportHint: '📤 /admin feedback export [days] - Download 👎 answers as JSONL',
+    feedbackExportEmpty: '👍 No answers were rated 👎 in the last {days} days.',
+    feedbackExportCaption: '📤 {count} answers rated 👎 in the last {days} days'
+  },
+
+  block: {
+    usage: 'Usage: /block <telegram_id> [duration: 30m|12h|7d|2w] [reason]',
+    adminNotAllowed: '❌ Admins cannot be blocked. Revoke the admin status first.',
+    defaultReason: 'Blocked by an admin',
+    forDuration: 'for {duration}',
+    permanently: 'permanently',
+    done: '🚫 User {telegramId} blocked {until}.\nReason: {reason}',
+    unblockUsage: 'Usage: /unblock <telegram_id>',
+    unblocked: '✅ User {telegramId} is no longer blocked.',
+    notBlocked: 'ℹ️ User {telegramId} is not blocked.',
+    autoNotice: '🚨 Automatic block\n\n' +
+                'User {userId} blocked {duration}.\n' +
+                'Reason: {reason}\n' +
+                'Strikes: {strikes}, automatic block #{level}\n\n' +
+                'See details with /user {userId} or unblock with /unblock {userId}.',
+    autoPermanent: 'permanently, pending admin review'
+  },
+
+  profile: {
+    usage: 'Usage: /user <telegram_id>',
+    statusActive: '✅ Active',
+    statusOwner: '👑 Owner',
+    statusAdmin: '👑 Admin',
+    statusBlocked: '🚫 Blocked {until} ({reason})',
+    neverUsed: '👤 User {telegramId} has never used the bot.\nStatus: {status}',
+    title: '👤 Profile of user {telegramId}',
+    name: 'Name: {name}',
+    registered: 'Registered: {date}',
+    status: 'Status: {status}',
+    model: 'Model: {model}',
+    language: 'Language: {language}',
+    messages: '💬 Messages: {count}',
+    first: 'First: {date}',
+    last: 'Last: {date}',
+    threads: '🧵 Threads: {count}',
+    tokens: '🔢 Tokens: {total} (today {today})',
+    strikes: '⚠️ Strikes: {strikes}/{threshold} (automatic blocks: {autoBlocks})',
+    quota: '📦 Quota{override}:',
+    quotaOverride: ' (custom)',
+    quotaLine: '• {label}: {used} / {limit}',
+    events: '📜 Latest security events:'
+  },
+
+  admins: {
+    title: '👑 Admins ({count}):',
+    owner: ' (owner)',
+    footer: 'Owners can use /admins add <telegram_id> and /admins remove <telegram_id>.',
+    ownerOnly: '❌ Only bot owners can change the admin list.',
+    usage: 'Usage: /admins add <telegram_id> or /admins remove <telegram_id>',
+    added: '✅ User {telegramId} is now an admin.',
+    cannotRemoveOwner: '❌ Owners from ADMIN_USER_IDS cannot be removed from Telegram.',
+    removed: '✅ Admin status of user {telegramId} revoked.',
+    notAdmin: 'ℹ️ User {telegramId} is not an admin.'
+  },
+
+  broadcast: {
+    usage: 'Usage: /broadcast <message>',
+    inProgress: '⏳ Another broadcast is running. Wait until it finishes.',
+    tooLong: '❌ The broadcast message is too long. Maximum {max} characters, yours has {length}.',
+    buttonSend: '📢 Send to {count} users',
+    preview: '📢 Broadcast preview:\n\n{text}',
+    cancelled: '❌ Broadcast cancelled.',
+    nothingPending: '❌ No broadcast is waiting for confirmation.',
+    started: '📢 Broadcast started: 0/{total}',
+    running: '📢 Broadcast running: {done}/{total}\n✅ Sent: {sent}\n❌ Failed: {failed}',
+    finished: '📢 Broadcast finished: {done}/{total}\n✅ Sent: {sent}\n❌ Failed: {failed}'
+  },
+
+  moderation: {
+    reloaded: '✅ {count} moderation rules reloaded.',
+    reloadFailed: '❌ The rules file is invalid, the previous rules stay active. Check the logs for details.',
+    testUsage: 'Usage: /moderation test <message>',
+    verdict: '🛡️ Moderation result: {action}',
+    noMatches: 'No rules matched.',
+    matches: 'Matching rules:',
+    classifier: '🤖 Classifier{cached}: {action}',
+    classifierCached: ' (cached)',
+    classifierBlocked: '• Message rejected by Gemini\'s safety filters',
+    classifierFailed: '🤖 The classifier returned no result.',
+    fallback: '🛟 Without a classification: {action}',
+    statusTitle: '🛡️ Moderation rules',
+    file: 'File: {path}',
+    loaded: 'Loaded: {date}',
+    hotReload: 'Hot reload: {status}',
+    spam: 'Spam detection: {status}',
+    classifierStatus: 'LLM classifier: {status}',
+    classifierActive: 'on ({model})',
+    statusFooter: '/moderation test <message> - Test a message against the rules\n/moderation reload - Reload the rules file'
+  },
+
+  media: {
+    describeImage: 'Describe this image.',
+    imageDownloadFailed: '❌ Failed to download the image. Please try again.',
+    audioDownloadFailed: '❌ Failed to download the audio. Please try again.',
+    transcript: '🎙️ Transcript:\n{text}',
+    thinking: '⏳ Thinking...'
+  },
+
+  security: {
+    rateLimited: {
+      one: '⚠️ You are sending messages too fast. Please wait {count} minute before sending another message.',
+      other: '⚠️ You are sending messages too fast. Please wait {count} minutes before sending another message.'
+    },
+    blocked: '🚫 You are blocked from using this bot.',
+    blockEnds: 'The block ends on {date}.',
+    messageTooLong: '📝 Message too long. Maximum {max} characters. Your message: {length} characters.',
+    warned: '⚠️ Your message may violate the usage rules, but it will still be processed.',
+    spam: '⚠️ Message detected as spam. Please send a more meaningful message.',
+    harmful: '⚠️ The message contains inappropriate content.',
+    autoBlockedPermanent: '🚫 You have been blocked for repeated violations. An admin will review this block.',
+    autoBlockedTemporary: '🚫 You have been temporarily blocked for repeated violations.',
+    autoBlockReason: 'Repeated violations ({event})',
+    autoBlockReasonReview: 'Repeated violations ({event}), pending admin review',
+    unknownCommand: '❌ Unknown command. Type /help to see the available commands.',
+    imageType: '🖼️ Unsupported image format. Supported formats: {types}.',
+    imageSize: '🖼️ Image too large. Maximum {max} MB. Your image: {size} MB.',
+    documentType: '📎 Unsupported document format. Use PDF, TXT, MD, CSV or source code files.',
+    documentSize: '📎 Document too large. Maximum {max} MB. Your document: {size} MB.',
+    audioType: '🎙️ Unsupported audio format. Use a voice note, MP3, WAV, OGG, AAC, FLAC or M4A.',
+    audioDuration: '🎙️ Audio too long. Maximum {max} seconds. Your audio: {duration} seconds.',
+    audioSize: '🎙️ Audio too large. Maximum {max} MB. Your audio: {size} MB.',
+    promptTooShort: '📝 System prompt too short. Minimum {min} characters.',
+    promptTooLong: '📝 System prompt too long. Maximum {max} characters. Your prompt: {length} characters.',
+    promptHarmful: '⚠️ The system prompt contains inappropriate content.'
+  },
+
+  gemini: {
+    blockedPrompt: 'Sorry, your message was blocked by Gemini\'s safety filter (category: {categories}). Please rephrase your question.',
+    blockedResponse: 'Sorry, the answer was stopped by Gemini\'s safety filter (category: {categories}). Please rephrase your question.',
+    recitation: 'Sorry, the answer was stopped because it was too close to copyrighted source material. Try asking for a summary or an explanation in your own words.',
+    categories: {
+      harassment: 'harassment',
+      hate_speech: 'hate speech',
+      sexually_explicit: 'sexual content',
+      dangerous_content: 'dangerous content',
+      other: 'other content policy'
+    },
+    truncated: '_✂️ The answer was cut off at the length limit._',
+    quota: 'Sorry, the service is currently rate limited. Please try again later.',
+    unavailable: 'Sorry, the AI service is busy or unavailable. Please try again in a moment.',
+    timeout: 'Sorry, the AI took too long to respond. Please try again.',
+    apiKey: 'A configuration error occurred. Please contact the administrator.',
+    unknown: 'Sorry, something went wrong while processing your message. Please try again.'
+  }
+};
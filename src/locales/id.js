@@ -0,0 +1,507 @@
+// Bahasa Indonesia (default catalog). Placeholders use {name}.
+module.exports = {
+  language: {
+    name: '🇮🇩 Bahasa Indonesia',
+    current: '🌐 *Bahasa:* {language}{auto}\n\nPilih bahasa bot di bawah, atau gunakan /language [id|en|auto].',
+    autoSuffix: ' (otomatis dari Telegram)',
+    auto: '🔄 Otomatis (ikuti Telegram)',
+    changed: '✅ Bahasa diganti ke {language}.',
+    changedAuto: '🔄 Bahasa kembali mengikuti pengaturan Telegram: {language}.',
+    unknown: '❌ Bahasa "{input}" tidak tersedia. Pilihan: {languages}, auto.'
+  },
+
+  common: {
+    noAdminAccess: '❌ Anda tidak memiliki akses admin.',
+    userNotFound: '❌ User tidak ditemukan.',
+    unlimited: 'tanpa batas',
+    noReason: 'tanpa alasan',
+    permanent: 'permanen',
+    until: 'sampai {date}',
+    active: 'aktif',
+    inactive: 'tidak aktif',
+    cancel: '❌ Batal',
+    default: 'Default',
+    custom: 'Kustom',
+    systemError: '❌ Terjadi kesalahan sistem. Tim teknis telah diberitahu.',
+    processingError: '❌ Maaf, terjadi kesalahan saat memproses pesan Anda. Silakan coba lagi.',
+    sendError: '❌ Terjadi kesalahan saat mengirim pesan.',
+    sendChunkError: '❌ Terjadi kesalahan saat mengirim bagian {part} dari pesan.',
+    messageContinues: '_📄 Pesan dilanjutkan..._',
+    messageContinued: '_📄 ...lanjutan pesan_',
+    privateOnly: '💬 Perintah ini hanya tersedia di chat pribadi dengan bot.',
+    groupOnly: '👥 Perintah ini hanya dapat digunakan di grup.'
+  },
+
+  duration: {
+    minutes: '{count} menit',
+    hours: '{count} jam',
+    days: '{count} hari',
+    weeks: '{count} minggu'
+  },
+
+  start: {
+    welcome: `
+🤖 *Selamat datang di Gemini Chatbot!*
+
+Halo {name}! Saya adalah chatbot yang menggunakan Google Gemini AI untuk membantu Anda.
+
+*Fitur yang tersedia:*
+🧠 Chat dengan AI yang mengingat percakapan
+🖼️ Kirim gambar untuk dianalisis AI
+🎙️ Kirim voice note untuk dijawab AI
+📄 Tanya jawab tentang dokumen (PDF, TXT, MD, CSV, kode)
+⚙️ Konfigurasi otomatis dari environment
+🤖 Pilihan model AI per user
+📝 System prompt dan persona kustom
+🌐 Bahasa Indonesia dan English
+📊 Lihat statistik penggunaan
+🗑️ Hapus riwayat percakapan
+
+*Perintah yang tersedia:*
+/help - Bantuan lengkap
+/new - Mulai percakapan baru
+/threads - Pindah percakapan
+/clear - Hapus riwayat percakapan
+/stats - Lihat statistik Anda
+/models - Pilih model AI
+/docs - Kelola dokumen
+/prompt - Atur kepribadian AI
+/language - Ganti bahasa
+/settings - Pengaturan akun
+/ping - Cek status bot
+
+Silakan mulai chat dengan mengirim pesan apapun!
+`
+  },
+
+  help: {
+    text: `
+📖 *Panduan Penggunaan Gemini Chatbot*
+
+*Cara Chat:*
+• Kirim pesan biasa untuk chat dengan AI
+• AI akan mengingat percakapan sebelumnya
+• Kirim foto (dengan caption opsional) untuk bertanya tentang gambar
+• Kirim voice note atau file audio, AI akan menjawab dalam bentuk teks
+• Reply jawaban lama atau pesan yang di-forward untuk bertanya tentang isinya
+• Respon AI akan disesuaikan dengan konteks
+
+*Perintah Dasar:*
+/start - Mulai menggunakan bot
+/help - Tampilkan panduan ini
+/ping - Cek status bot dan koneksi
+/language - Ganti bahasa bot (id/en)
+
+*Pengaturan Model:*
+/models - Lihat dan pilih model yang tersedia
+/model [nama] - Ganti model (contoh: /model flash)
+
+*System Prompt:*
+/prompt - Lihat prompt saat ini dan pilih persona
+/prompt set [teks] - Atur system prompt kustom
+/prompt reset - Kembali ke prompt default
+
+*Dokumen:*
+• Kirim file PDF, TXT, MD, CSV atau source code untuk bertanya tentangnya
+/docs - Lihat, ganti atau hapus dokumen
+/docs off - Berhenti menggunakan dokumen
+
+*Grup:*
+• Di grup, mention atau reply bot untuk bertanya
+/groupsettings - Atur kapan bot membalas (admin grup)
+
+*Percakapan:*
+/new [judul] - Mulai percakapan baru
+/threads - Lihat dan pindah percakapan
+/rename [judul] - Ganti nama percakapan aktif
+/delete - Hapus percakapan aktif
+/summary - Lihat ringkasan percakapan sebelumnya
+
+*Manajemen Data:*
+/clear - Hapus riwayat percakapan aktif
+/stats - Lihat statistik penggunaan
+/quota - Lihat sisa kuota harian dan bulanan
+/settings - Pengaturan akun Anda
+
+*Tips:*
+• Bot mengingat pesan terbaru, pesan lama diringkas otomatis
+• Rate limit: 10 pesan per menit
+• Maksimal 4000 karakter per pesan
+• Gunakan model Flash untuk respon cepat
+• Gunakan model Pro untuk analisis kompleks
+
+Jika ada masalah, coba /ping untuk cek status bot.
+`
+  },
+
+  clear: {
+    groupAdminOnly: '❌ Hanya admin grup yang dapat menghapus riwayat percakapan grup.',
+    success: '🗑️ Riwayat percakapan berhasil dihapus. Percakapan baru akan dimulai tanpa konteks sebelumnya.',
+    failed: '❌ Gagal menghapus riwayat percakapan. Silakan coba lagi.'
+  },
+
+  stats: {
+    empty: '📊 Belum ada percakapan. Mulai chat untuk melihat statistik!',
+    title: '📊 *Statistik Anda:*',
+    totalMessages: '💬 Total pesan: {count}',
+    firstInteraction: '📅 Interaksi pertama: {date}',
+    lastInteraction: '🕐 Interaksi terakhir: {date}',
+    modelUsage: '🤖 *Penggunaan Model:*',
+    modelUsageLine: '• {model}: {count} ({percentage}%), {tokens} token',
+    tokenUsage: '🔢 *Penggunaan Token:*',
+    promptTokens: '• Prompt: {count}',
+    completionTokens: '• Respon: {count}',
+    totalTokens: '• Total: {count}',
+    todayTokens: '• Hari ini: {count}',
+    botConfig: '⚙️ *Konfigurasi Bot:*',
+    model: '• Model: {model}',
+    systemPrompt: '• System Prompt: {prompt}'
+  },
+
+  quota: {
+    fields: {
+      daily_requests: 'Permintaan harian',
+      daily_tokens: 'Token harian',
+      monthly_requests: 'Permintaan bulanan',
+      monthly_tokens: 'Token bulanan'
+    },
+    reset: {
+      daily: 'besok pukul 00:00 UTC',
+      monthly: 'tanggal 1 bulan depan pukul 00:00 UTC'
+    },
+    loadFailed: '❌ Gagal mengambil data kuota. Silakan coba lagi.',
+    title: '📦 *Kuota {name}:*',
+    line: '• {label}: {used} / {limit}{remaining}',
+    remaining: ' (sisa {count})',
+    resetInfo: '🔄 Kuota harian direset setiap 00:00 UTC, kuota bulanan setiap tanggal 1.',
+    override: '👑 Kuota khusus dari admin berlaku.',
+    usage: 'Gunakan:\n/setquota <telegram_id> <{fields}> <angka|unlimited|default>\n/setquota <telegram_id> reset',
+    targetNotFound: '❌ User tidak ditemukan. User harus pernah memakai bot terlebih dahulu.',
+    resetDone: '✅ Kuota user {telegramId} dikembalikan ke default.',
+    resetFailed: '❌ Gagal mereset kuota.',
+    invalidValue: '❌ Nilai tidak valid. {usage}',
+    setDone: '✅ Kuota {field} user {telegramId} diatur ke {value}.',
+    setFailed: '❌ Gagal mengatur kuota.',
+    globalExceeded: '⛔ Kuota layanan bot untuk hari ini sudah habis. Silakan coba lagi {reset}.',
+    userExceeded: '⛔ {label} Anda sudah habis ({used}/{limit}).\nKuota akan direset {reset}. Gunakan /quota untuk melihat sisa kuota Anda.'
+  },
+
+  settings: {
+    title: '⚙️ *Pengaturan Akun*',
+    model: '🤖 Model: {model}',
+    systemPrompt: '📝 System Prompt: {prompt}',
+    language: '🌐 Bahasa: {language}',
+    userId: '👤 User ID: {id}',
+    choose: 'Pilih pengaturan yang tersedia:',
+    buttonModel: '🤖 Ganti Model',
+    buttonPrompt: '📝 Ganti Persona',
+    buttonLanguage: '🌐 Ganti Bahasa',
+    buttonClear: '🗑️ Hapus Riwayat',
+    buttonStats: '📊 Lihat Stats',
+    clearHint: 'Gunakan /clear untuk menghapus riwayat percakapan.',
+    statsHint: 'Gunakan /stats untuk melihat statistik penggunaan.'
+  },
+
+  model: {
+    current: '🤖 Model saat ini: {model}\n\nGunakan /model [nama] untuk mengganti model, atau /models untuk melihat daftar model.',
+    listTitle: '🤖 *Model yang Tersedia:*',
+    listFooter: 'Pilih model di bawah atau gunakan /model [nama].',
+    unknown: '❌ Model "{input}" tidak dikenal. Ketik /models untuk melihat model yang tersedia.',
+    changed: '✅ Model berhasil diganti ke {model}.'
+  },
+
+  prompt: {
+    saved: '✅ System prompt berhasil disimpan dan akan digunakan untuk semua pesan berikutnya.',
+    reset: '🔄 System prompt dikembalikan ke default.',
+    usage: '❌ Penggunaan: /prompt [show|set <teks>|reset]',
+    title: '📝 *System Prompt:* {name}',
+    choose: 'Pilih persona di bawah, atau gunakan /prompt set [teks] untuk prompt kustom (maksimal {max} karakter).',
+    personaNotFound: '❌ Persona tidak ditemukan.',
+    personaChanged: '✅ Persona diganti ke {name}.'
+  },
+
+  thread: {
+    createFailed: '❌ Gagal membuat percakapan baru. Silakan coba lagi.',
+    created: '🆕 Percakapan baru "{title}" dimulai.',
+    createdUntitled: '🆕 Percakapan baru dimulai. Judul akan dibuat otomatis dari pesan pertama Anda.',
+    renameUsage: '❌ Penggunaan: /rename [judul baru]',
+    renamed: '✏️ Percakapan diganti nama menjadi "{title}".',
+    renameFailed: '❌ Gagal mengganti nama percakapan.',
+    noActive: '❌ Tidak ada percakapan aktif.',
+    confirmDelete: 'Hapus percakapan "{title}" beserta seluruh riwayatnya?',
+    buttonDelete: '🗑️ Ya, hapus',
+    untitled: 'Percakapan #{id}',
+    listTitle: '🧵 *Percakapan Anda:*',
+    listLine: '{marker} {title} ({count} pesan)',
+    listFooter: 'Pilih percakapan untuk melanjutkan, atau /new untuk memulai yang baru.',
+    kept: '👍 Percakapan tidak dihapus.',
+    notFound: '❌ Percakapan tidak ditemukan.',
+    switched: '🧵 Beralih ke "{title}".',
+    deleted: '🗑️ Percakapan dihapus.'
+  },
+
+  summary: {
+    empty: '📝 Belum ada ringkasan. Ringkasan dibuat otomatis saat percakapan sudah panjang.',
+    title: '📝 *Ringkasan Percakapan*\n_Diperbarui: {date}_'
+  },
+
+  docs: {
+    off: '📄 Dokumen tidak lagi digunakan sebagai konteks.',
+    empty: '📄 Belum ada dokumen. Kirim file PDF, TXT, MD, CSV atau source code untuk mulai bertanya tentang dokumen.',
+    listTitle: '📄 *Dokumen Anda:*',
+    listLine: '{marker} {name} ({count} karakter)',
+    listFooter: 'Pilih dokumen untuk digunakan sebagai konteks, atau 🗑️ untuk menghapus.',
+    buttonNone: '❌ Jangan gunakan dokumen',
+    switched: '✅ Dokumen aktif diganti.',
+    notFound: '❌ Dokumen tidak ditemukan.',
+    forgotten: '🗑️ Dokumen dihapus.',
+    downloadFailed: '❌ Gagal mengunduh dokumen. Silakan coba lagi.',
+    saved: '📄 Dokumen "{name}" tersimpan dan sekarang aktif ({count} karakter).',
+    truncated: '⚠️ Dokumen terlalu panjang, hanya {max} karakter pertama yang digunakan.',
+    incomplete: '⚠️ Tidak semua teks dokumen ini berhasil dibaca, jawaban mungkin tidak mencakup bagian akhirnya.',
+    askHint: 'Silakan ajukan pertanyaan tentang dokumen ini. Gunakan /docs untuk mengelola dokumen.',
+    notText: 'File bukan dokumen teks yang valid.',
+    noText: 'Dokumen tidak berisi teks yang dapat dibaca.',
+    saveFailed: 'Gagal menyimpan dokumen.'
+  },
+
+  group: {
+    policies: {
+      mention: '📣 Saat di-mention atau di-reply',
+      reply: '↩️ Hanya saat pesannya di-reply',
+      all: '💬 Semua pesan'
+    },
+    adminOnly: '❌ Hanya admin grup yang dapat mengubah pengaturan grup.',
+    settings: '👥 *Pengaturan Grup*\n\nBot membalas: {policy}\nCommand (/perintah) selalu dijawab.\n\nPilih kapan bot membalas pesan di grup ini:',
+    changed: '✅ Bot sekarang membalas: {policy}'
+  },
+
+  reply: {
+    regenerate: '🔄 Ulangi',
+    continue: '➡️ Lanjutkan',
+    continueMessage: 'Lanjutkan',
+    continueUnavailable: '❌ Jawaban ini tidak dapat dilanjutkan.',
+    regenerateUnavailable: '❌ Hanya jawaban terakhir Anda yang dapat diulang.',
+    feedbackUnavailable: '❌ Jawaban ini tidak dapat dinilai.',
+    feedbackCommentUp: '🙏 Terima kasih! Balas pesan ini jika ingin menceritakan apa yang Anda sukai (opsional).',
+    feedbackCommentDown: '🙏 Terima kasih! Apa yang kurang tepat? Balas pesan ini untuk memberi tahu kami (opsional).',
+    feedbackCommentPlaceholder: 'Masukan Anda',
+    feedbackCommentSaved: '✅ Terima kasih, masukan Anda sudah disimpan.',
+    feedbackCommentFailed: '❌ Gagal menyimpan masukan Anda.'
+  },
+
+  generation: {
+    fields: {
+      creativity: '🎨 Kreativitas',
+      length: '📏 Panjang Jawaban',
+      safety: '🛡️ Filter Keamanan'
+    },
+    options: {
+      creativity: { precise: '🎯 Presisi', balanced: '⚖️ Seimbang', creative: '✨ Kreatif' },
+      length: { short: '📄 Singkat', medium: '📑 Sedang', long: '📚 Panjang' },
+      safety: { strict: '🔒 Ketat', standard: '🛡️ Standar', relaxed: '🔓 Longgar', off: '⚠️ Nonaktif' }
+    },
+    summary: '🎛️ Jawaban: {creativity} · {length} · filter {safety}',
+    groupSummary: '🎛️ Jawaban di grup ini: {creativity} · {length} · filter {safety}',
+    inherit: '👤 Ikuti pengaturan user',
+    choose: '{field}: {value}\n\nPilih salah satu:',
+    chooseGroup: '{field} untuk grup ini: {value}\n\nPilih salah satu:',
+    changed: '✅ {field} diubah ke {value}.',
+    changedGroup: '✅ {field} untuk grup ini diubah ke {value}.',
+    notAllowed: '❌ Pilihan tersebut tidak diizinkan oleh admin bot.'
+  },
+
+  ping: {
+    text: '🏓 *Status Bot*\n\n' +
+          '⚡ Ping: {ping}ms\n' +
+          '🤖 Gemini API: {gemini}\n' +
+          '💾 Database: ✅ Terhubung\n' +
+          '👥 Total User: {users}\n' +
+          '💬 Total Pesan: {totalMessages}\n' +
+          '📅 Pesan Hari Ini: {todayMessages}\n' +
+          '🔒 User Diblokir: {blockedUsers}'
+  },
+
+  admin: {
+    panel: '👑 *Admin Panel*\n\n' +
+           '📊 *Statistik Sistem:*\n' +
+           '👥 User: {users}\n' +
+           '💬 Total Pesan: {totalMessages}\n' +
+           '📅 Hari Ini: {todayMessages}\n' +
+           '🔢 Token Hari Ini: {todayTokens}\n\n' +
+           '🔒 *Keamanan:*\n' +
+           '🚫 Diblokir: {blockedUsers}\n' +
+           '👑 Admin: {adminUsers}\n\n' +
+           '💾 *Cache:*\n' +
+           '🔄 Aktif: {activeCacheEntries}\n' +
+           '🗄️ Store: {store}\n\n' +
+           '📜 /admin events [user id] - Log keamanan\n' +
+           '🚫 /admin blocked - Daftar user diblokir\n' +
+           '👍 /admin feedback [hari] - Kepuasan jawaban\n' +
+           '⛔ /block, /unblock - Blokir atau buka blokir user\n' +
+           '👤 /user [user id] - Profil dan pemakaian user\n' +
+           '👑 /admins - Kelola admin\n' +
+           '🛡️ /moderation - Aturan moderasi\n' +
+           '📢 /broadcast [pesan] - Kirim pesan ke semua user',
+    eventsFailed: '❌ Gagal mengambil log keamanan.',
+    eventsEmpty: '📜 Belum ada event keamanan.',
+    eventsForUser: '📜 Log keamanan user {telegramId}:',
+    eventsRecent: '📜 Log keamanan terbaru:',
+    blockedEmpty: '✅ Tidak ada user yang diblokir.',
+    blockedTitle: '🚫 User diblokir ({count}):',
+    blockedLine: '• {userId} - {reason} ({until})',
+    feedbackFailed: '❌ Gagal mengambil penilaian jawaban.',
+    feedbackEmpty: '👍 Belum ada jawaban yang dinilai dalam {days} hari terakhir.',
+    feedbackTitle: '👍 Kepuasan jawaban, {days} hari terakhir:',
+    feedbackTotal: 'Semua jawaban',
+    feedbackByModel: '🤖 Per model:',
+    feedbackByPrompt: '📝 Per system prompt:',
+    feedbackByWeek: '📅 Per minggu:',
+    feedbackLine: '{satisfaction}% (👍 {positive} / 👎 {negative}, 💬 {comments})',
+    feedbackExportHint: '📤 /admin feedback export [hari] - Unduh jawaban 👎 sebagai JSONL',
+    feedbackExportEmpty: '👍 Tidak ada jawaban yang dinilai 👎 dalam {days} hari terakhir.',
+    feedbackExportCaption: '📤 {count} jawaban dinilai 👎 dalam {days} hari terakhir'
+  },
+
+  block: {
+    usage: 'Gunakan: /block <telegram_id> [durasi: 30m|12h|7d|2w] [alasan]',
+    adminNotAllowed: '❌ Admin tidak dapat diblokir. Cabut status admin terlebih dahulu.',
+    defaultReason: 'Diblokir oleh admin',
+    forDuration: 'selama {duration}',
+    permanently: 'secara permanen',
+    done: '🚫 User {telegramId} diblokir {until}.\nAlasan: {reason}',
+    unblockUsage: 'Gunakan: /unblock <telegram_id>',
+    unblocked: '✅ User {telegramId} tidak lagi diblokir.',
+    notBlocked: 'ℹ️ User {telegramId} tidak sedang diblokir.',
+    autoNotice: '🚨 Blokir otomatis\n\n' +
+                'User {userId} diblokir {duration}.\n' +
+                'Alasan: {reason}\n' +
+                'Strike: {strikes}, blokir otomatis ke-{level}\n\n' +
+                'Lihat detail dengan /user {userId} atau buka blokir dengan /unblock {userId}.',
+    autoPermanent: 'secara permanen dan menunggu review admin'
+  },
+
+  profile: {
+    usage: 'Gunakan: /user <telegram_id>',
+    statusActive: '✅ Aktif',
+    statusOwner: '👑 Owner',
+    statusAdmin: '👑 Admin',
+    statusBlocked: '🚫 Diblokir {until} ({reason})',
+    neverUsed: '👤 User {telegramId} belum pernah memakai bot.\nStatus: {status}',
+    title: '👤 Profil user {telegramId}',
+    name: 'Nama: {name}',
+    registered: 'Terdaftar: {date}',
+    status: 'Status: {status}',
+    model: 'Model: {model}',
+    language: 'Bahasa: {language}',
+    messages: '💬 Pesan: {count}',
+    first: 'Pertama: {date}',
+    last: 'Terakhir: {date}',
+    threads: '🧵 Thread: {count}',
+    tokens: '🔢 Token: {total} (hari ini {today})',
+    strikes: '⚠️ Strike: {strikes}/{threshold} (blokir otomatis: {autoBlocks})',
+    quota: '📦 Kuota{override}:',
+    quotaOverride: ' (khusus)',
+    quotaLine: '• {label}: {used} / {limit}',
+    events: '📜 Event keamanan terbaru:'
+  },
+
+  admins: {
+    title: '👑 Admin ({count}):',
+    owner: ' (owner)',
+    footer: 'Owner dapat menggunakan /admins add <telegram_id> dan /admins remove <telegram_id>.',
+    ownerOnly: '❌ Hanya owner bot yang dapat mengubah daftar admin.',
+    usage: 'Gunakan: /admins add <telegram_id> atau /admins remove <telegram_id>',
+    added: '✅ User {telegramId} sekarang admin.',
+    cannotRemoveOwner: '❌ Owner dari ADMIN_USER_IDS tidak dapat dicabut dari Telegram.',
+    removed: '✅ Status admin user {telegramId} dicabut.',
+    notAdmin: 'ℹ️ User {telegramId} bukan admin.'
+  },
+
+  broadcast: {
+    usage: 'Gunakan: /broadcast <pesan>',
+    inProgress: '⏳ Broadcast lain sedang berjalan. Tunggu hingga selesai.',
+    tooLong: '❌ Pesan broadcast terlalu panjang. Maksimal {max} karakter, pesan Anda {length} karakter.',
+    buttonSend: '📢 Kirim ke {count} user',
+    preview: '📢 Pratinjau broadcast:\n\n{text}',
+    cancelled: '❌ Broadcast dibatalkan.',
+    nothingPending: '❌ Tidak ada broadcast yang menunggu konfirmasi.',
+    started: '📢 Broadcast dimulai: 0/{total}',
+    running: '📢 Broadcast berjalan: {done}/{total}\n✅ Terkirim: {sent}\n❌ Gagal: {failed}',
+    finished: '📢 Broadcast selesai: {done}/{total}\n✅ Terkirim: {sent}\n❌ Gagal: {failed}'
+  },
+
+  moderation: {
+    reloaded: '✅ {count} aturan moderasi dimuat ulang.',
+    reloadFailed: '❌ File aturan tidak valid, aturan sebelumnya tetap dipakai. Cek log untuk detail.',
+    testUsage: 'Gunakan: /moderation test <pesan>',
+    verdict: '🛡️ Hasil moderasi: {action}',
+    noMatches: 'Tidak ada aturan yang cocok.',
+    matches: 'Aturan yang cocok:',
+    classifier: '🤖 Classifier{cached}: {action}',
+    classifierCached: ' (cache)',
+    classifierBlocked: '• Pesan ditolak oleh filter keamanan Gemini',
+    classifierFailed: '🤖 Classifier gagal memberi hasil.',
+    fallback: '🛟 Tanpa klasifikasi: {action}',
+    statusTitle: '🛡️ Aturan moderasi',
+    file: 'File: {path}',
+    loaded: 'Dimuat: {date}',
+    hotReload: 'Hot reload: {status}',
+    spam: 'Deteksi spam: {status}',
+    classifierStatus: 'Classifier LLM: {status}',
+    classifierActive: 'aktif ({model})',
+    statusFooter: '/moderation test <pesan> - Uji pesan terhadap aturan\n/moderation reload - Muat ulang file aturan'
+  },
+
+  media: {
+    describeImage: 'Jelaskan gambar ini.',
+    imageDownloadFailed: '❌ Gagal mengunduh gambar. Silakan coba lagi.',
+    audioDownloadFailed: '❌ Gagal mengunduh audio. Silakan coba lagi.',
+    transcript: '🎙️ Transkrip:\n{text}',
+    thinking: '⏳ Sedang berpikir...'
+  },
+
+  security: {
+    rateLimited: '⚠️ Anda mengirim pesan terlalu cepat. Silakan tunggu {count} menit sebelum mengirim pesan lagi.',
+    blocked: '🚫 Anda diblokir dari menggunakan bot ini.',
+    blockEnds: 'Blokir berakhir pada {date}.',
+    messageTooLong: '📝 Pesan terlalu panjang. Maksimal {max} karakter. Pesan Anda: {length} karakter.',
+    warned: '⚠️ Pesan Anda mungkin melanggar aturan penggunaan, tetapi tetap diproses.',
+    spam: '⚠️ Pesan terdeteksi sebagai spam. Silakan kirim pesan yang lebih bermakna.',
+    harmful: '⚠️ Pesan mengandung konten yang tidak pantas.',
+    autoBlockedPermanent: '🚫 Anda diblokir karena pelanggaran berulang. Blokir ini akan ditinjau oleh admin.',
+    autoBlockedTemporary: '🚫 Anda diblokir sementara karena pelanggaran berulang.',
+    autoBlockReason: 'Pelanggaran berulang ({event})',
+    autoBlockReasonReview: 'Pelanggaran berulang ({event}), menunggu review admin',
+    unknownCommand: '❌ Perintah tidak dikenal. Ketik /help untuk melihat perintah yang tersedia.',
+    imageType: '🖼️ Format gambar tidak didukung. Format yang didukung: {types}.',
+    imageSize: '🖼️ Gambar terlalu besar. Maksimal {max} MB. Gambar Anda: {size} MB.',
+    documentType: '📎 Format dokumen tidak didukung. Gunakan PDF, TXT, MD, CSV atau file source code.',
+    documentSize: '📎 Dokumen terlalu besar. Maksimal {max} MB. Dokumen Anda: {size} MB.',
+    audioType: '🎙️ Format audio tidak didukung. Gunakan voice note, MP3, WAV, OGG, AAC, FLAC atau M4A.',
+    audioDuration: '🎙️ Audio terlalu panjang. Maksimal {max} detik. Audio Anda: {duration} detik.',
+    audioSize: '🎙️ Audio terlalu besar. Maksimal {max} MB. Audio Anda: {size} MB.',
+    promptTooShort: '📝 System prompt terlalu pendek. Minimal {min} karakter.',
+    promptTooLong: '📝 System prompt terlalu panjang. Maksimal {max} karakter. Prompt Anda: {length} karakter.',
+    promptHarmful: '⚠️ System prompt mengandung konten yang tidak pantas.'
+  },
+
+  gemini: {
+    blockedPrompt: 'Maaf, pesan Anda diblokir oleh filter keamanan Gemini (kategori: {categories}). Silakan ubah pertanyaan Anda.',
+    blockedResponse: 'Maaf, jawaban dihentikan oleh filter keamanan Gemini (kategori: {categories}). Silakan ubah pertanyaan Anda.',
+    recitation: 'Maaf, jawaban dihentikan karena terlalu mirip dengan sumber yang dilindungi hak cipta. Coba minta ringkasan atau penjelasan dengan kata-kata sendiri.',
+    categories: {
+      harassment: 'pelecehan',
+      hate_speech: 'ujaran kebencian',
+      sexually_explicit: 'konten seksual',
+      dangerous_content: 'konten berbahaya',
+      other: 'kebijakan konten lainnya'
+    },
+    truncated: '_✂️ Jawaban terpotong karena mencapai batas panjang._',
+    quota: 'Maaf, layanan sedang mengalami pembatasan. Silakan coba lagi nanti.',
+    unavailable: 'Maaf, layanan AI sedang sibuk atau tidak tersedia. Silakan coba lagi beberapa saat lagi.',
+    timeout: 'Maaf, AI terlalu lama merespon. Silakan coba lagi.',
+    apiKey: 'Terjadi kesalahan konfigurasi. Silakan hubungi administrator.',
+    unknown: 'Maaf, terjadi kesalahan saat memproses pesan Anda. Silakan coba lagi.'
+  }
+};
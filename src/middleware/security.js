@@ -1,113 +1,333 @@
-const { RateLimiterMemory } = require('rate-limiter-flexible');
+const database = require('../services/database');
+const store = require('../services/store');
+const moderationService = require('../services/moderation');
+const classifierService = require('../services/classifier');
+const i18n = require('../services/i18n');
 
 class SecurityMiddleware {
   constructor() {
-    this.rateLimiter = new RateLimiterMemory({
+    // Fixed-window rate limit kept in the shared store so all instances count together
+    this.rateLimitConfig = {
       points: parseInt(process.env.RATE_LIMIT_POINTS) || 10, // Number of requests
       duration: parseInt(process.env.RATE_LIMIT_DURATION) || 60, // Per 60 seconds
-      blockDuration: 300, // Block for 5 minutes if limit exceeded
-    });
+      blockDuration: 300 // Block for 5 minutes if limit exceeded
+    };
 
     this.maxMessageLength = parseInt(process.env.MAX_MESSAGE_LENGTH) || 4000;
-    this.blockedUsers = new Set();
-    this.adminUsers = new Set(
+    this.minSystemPromptLength = 10;
+    this.maxSystemPromptLength = parseInt(process.env.MAX_SYSTEM_PROMPT_LENGTH) || 1000;
+    this.maxImageSize = (parseInt(process.env.MAX_IMAGE_SIZE_MB) || 10) * 1024 * 1024;
+    this.allowedImageTypes = ['image/jpeg', 'image/png', 'image/webp', 'image/heic', 'image/heif'];
+    this.maxDocumentSize = (parseInt(process.env.MAX_DOCUMENT_SIZE_MB) || 10) * 1024 * 1024;
+    this.allowedDocumentExtensions = [
+      'pdf', 'txt', 'md', 'csv', 'json', 'xml', 'yml', 'yaml', 'html', 'css', 'sql', 'sh',
+      'js', 'ts', 'jsx', 'tsx', 'py', 'java', 'c', 'h', 'cpp', 'cs', 'go', 'rb', 'php', 'rs', 'kt', 'swift'
+    ];
+    this.maxAudioSize = (parseInt(process.env.MAX_AUDIO_SIZE_MB) || 20) * 1024 * 1024;
+    this.maxAudioDuration = parseInt(process.env.MAX_AUDIO_DURATION) || 300; // seconds
+    this.allowedAudioTypes = [
+      'audio/ogg', 'audio/mpeg', 'audio/mp3', 'audio/wav', 'audio/x-wav',
+      'audio/aac', 'audio/flac', 'audio/aiff', 'audio/mp4', 'audio/x-m4a'
+    ];
+
+    // Repeated rejections add strikes; crossing the threshold blocks with escalating durations
+    this.strikeThreshold = parseInt(process.env.STRIKE_THRESHOLD) || 3;
+    this.strikeDecayHours = parseFloat(process.env.STRIKE_DECAY_HOURS) || 6; // one strike forgiven per period
+    this.strikeBlockDurations = this.parseDurationList(process.env.STRIKE_BLOCK_DURATIONS || '10m,1h,24h,7d');
+    this.autoBlockHandler = null;
+    // Admins from the environment are owners: they cannot be demoted and manage other admins
+    this.ownerUsers = new Set(
       (process.env.ADMIN_USER_IDS || '').split(',').map(id => parseInt(id.trim())).filter(id => !isNaN(id))
     );
+    // Promoted admins live in the database, shared by all instances; each instance re-reads them after
+    // adminCacheTimeout so /admins add and remove on one instance reach the others within seconds
+    this.adminCacheTimeout = 10 * 1000;
+    this.adminCache = null;
   }
 
   // Rate limiting middleware
   async rateLimitMiddleware(ctx, next) {
     const userId = ctx.from.id;
-    
+
+    // Skip rate limiting for admin users
+    if (await this.isAdmin(userId)) {
+      return next();
+    }
+
+    let result;
     try {
-      // Skip rate limiting for admin users
-      if (this.adminUsers.has(userId)) {
-        return next();
-      }
+      result = await this.consumeRateLimit(userId);
+    } catch (error) {
+      // Do not lock everyone out when the store is unavailable
+      console.error('Error checking rate limit:', error);
+      return next();
+    }
 
-      await this.rateLimiter.consume(userId);
+    if (result.allowed) {
       return next();
-    } catch (rejRes) {
-      const totalHits = rejRes.totalHits;
-      const remainingPoints = rejRes.remainingPoints || 0;
-      const msBeforeNext = rejRes.msBeforeNext || 0;
+    }
 
-      console.log(`Rate limit exceeded for user ${userId}: ${totalHits} hits, ${remainingPoints} remaining, ${msBeforeNext}ms to wait`);
-      
-      const waitMinutes = Math.ceil(msBeforeNext / 60000);
-      await ctx.reply(
-        `⚠️ Anda mengirim pesan terlalu cepat. Silakan tunggu ${waitMinutes} menit sebelum mengirim pesan lagi.`
-      );
+    const { totalHits, msBeforeNext } = result;
+    console.log(`Rate limit exceeded for user ${userId}: ${totalHits} hits, ${msBeforeNext}ms to wait`);
+    this.logSecurityEvent('rate_limit', userId, { totalHits, msBeforeNext });
+
+    const waitMinutes = Math.ceil(msBeforeNext / 60000);
+    await ctx.reply(i18n.t(this.getLocale(ctx), 'security.rateLimited', { count: waitMinutes }));
+  }
+
+  // Locale resolved by the bot for this update, or detected from the Telegram client language
+  getLocale(ctx) {
+    return ctx.state?.locale || i18n.detectLocale(ctx.from?.language_code);
+  }
+
+  // Count one request; over the limit the user is held back for blockDuration seconds
+  async consumeRateLimit(userId) {
+    const { points, duration, blockDuration } = this.rateLimitConfig;
+
+    const hold = await store.get(`ratelimit_block:${userId}`);
+    if (hold) {
+      return { allowed: false, totalHits: hold.totalHits, msBeforeNext: Math.max(hold.until - Date.now(), 0) };
+    }
+
+    const counter = await store.increment(`ratelimit:${userId}`, duration * 1000);
+    if (counter.value <= points) {
+      return { allowed: true, totalHits: counter.value };
     }
+
+    const until = Date.now() + blockDuration * 1000;
+    await store.set(`ratelimit_block:${userId}`, { until, totalHits: counter.value }, blockDuration * 1000);
+    return { allowed: false, totalHits: counter.value, msBeforeNext: blockDuration * 1000 };
   }
 
   // Input validation middleware
   async validateInputMiddleware(ctx, next) {
-    const text = ctx.message?.text || '';
+    // Edited prompts are re-run, so they go through the same checks as new messages
+    const message = ctx.message || ctx.editedMessage;
+    const text = message?.text || message?.caption || '';
     const userId = ctx.from.id;
+    const locale = this.getLocale(ctx);
 
     // Check if user is blocked
-    if (this.blockedUsers.has(userId)) {
-      await ctx.reply('🚫 Anda diblokir dari menggunakan bot ini.');
+    const entry = await this.getBlock(userId);
+    if (entry) {
+      let message = i18n.t(locale, 'security.blocked');
+      if (entry.expiresAt) {
+        message += `\n${i18n.t(locale, 'security.blockEnds', { date: i18n.formatDateTime(locale, entry.expiresAt) })}`;
+      }
+      await ctx.reply(message);
       return;
     }
 
     // Validate message length
     if (text.length > this.maxMessageLength) {
-      await ctx.reply(
-        `📝 Pesan terlalu panjang. Maksimal ${this.maxMessageLength} karakter. Pesan Anda: ${text.length} karakter.`
-      );
+      await ctx.reply(i18n.t(locale, 'security.messageTooLong', { max: this.maxMessageLength, length: text.length }));
       return;
     }
 
-    // Basic spam detection
-    if (this.isSpam(text)) {
-      console.log(`Spam detected from user ${userId}: ${text}`);
-      await ctx.reply('⚠️ Pesan terdeteksi sebagai spam. Silakan kirim pesan yang lebih bermakna.');
+    // Spam and content rules from the moderation rules file
+    if (text && !(await this.moderateMessage(ctx, text))) {
       return;
     }
 
-    // Check for potentially harmful content
-    if (this.containsHarmfulContent(text)) {
-      console.log(`Harmful content detected from user ${userId}: ${text}`);
-      await ctx.reply('⚠️ Pesan mengandung konten yang tidak pantas.');
-      return;
+    return next();
+  }
+
+  // Apply moderation rules to a message; returns false when it must not be processed
+  async moderateMessage(ctx, text, details = {}) {
+    const userId = ctx.from.id;
+    const locale = this.getLocale(ctx);
+    let verdict = moderationService.evaluate(text);
+
+    if (verdict.action === 'allow') {
+      return true;
     }
 
-    return next();
+    const eventDetails = {
+      ...details,
+      text: text.substring(0, 200),
+      chatId: ctx.chat?.id,
+      rules: verdict.matches.map(match => match.rule)
+    };
+
+    // Borderline matches go to the LLM classifier when it is enabled. Without a classification (classifier
+    // off or failing) each rule's fallbackAction applies, so these matches are never simply let through
+    if (verdict.action === 'classify') {
+      const classified = classifierService.isEnabled() ? await this.classifyMessage(ctx, text, eventDetails) : null;
+
+      // The classification itself is already in the audit log
+      if (classified && (classified.action === 'allow' || classified.action === 'log')) {
+        return true;
+      }
+
+      verdict = classified || moderationService.applyFallback(verdict);
+    }
+
+    if (verdict.action === 'reject') {
+      const rejected = verdict.matches.find(match => match.action === 'reject');
+      const event = rejected.rule === 'spam' ? 'spam' : 'harmful_content';
+      const block = await this.recordViolation(userId, event, eventDetails);
+      await ctx.reply(block ? this.getAutoBlockMessage(block, locale) : this.getRejectionMessage(rejected, locale));
+      return false;
+    }
+
+    if (verdict.action === 'warn') {
+      const warned = verdict.matches.find(match => match.action === 'warn');
+      this.logSecurityEvent('moderation_warning', userId, eventDetails);
+      await ctx.reply(i18n.localize(warned.message, locale) || i18n.t(locale, 'security.warned'));
+      return true;
+    }
+
+    // "log" only records the match
+    this.logSecurityEvent('moderation_flag', userId, eventDetails);
+    return true;
   }
 
-  // Spam detection logic
-  isSpam(text) {
-    // Check for repeated characters
-    const repeatedChars = /(.)\1{10,}/.test(text);
-    
-    // Check for excessive caps
-    const capsRatio = (text.match(/[A-Z]/g) || []).length / text.length;
-    const excessiveCaps = capsRatio > 0.7 && text.length > 10;
-    
-    // Check for repeated words
-    const words = text.toLowerCase().split(/\s+/);
-    const uniqueWords = new Set(words);
-    const repeatedWords = words.length > 5 && uniqueWords.size / words.length < 0.5;
-    
-    // Check for excessive special characters
-    const specialChars = (text.match(/[!@#$%^&*()_+\-=\[\]{};':"\\|,.<>\?~`]/g) || []).length;
-    const excessiveSpecial = specialChars / text.length > 0.3;
+  // Ask the classifier about a borderline message and map its scores to an action; null when it fails
+  async classifyMessage(ctx, text, eventDetails) {
+    const userId = ctx.from.id;
+    // Classifier calls count towards the user's quota like any other Gemini call
+    const user = await database.getOrCreateUser(ctx.from);
+    const result = await classifierService.classify(text, moderationService.getClassifierCategories(), { userId: user.id });
+
+    // Without a classification the caller falls back to the rules' own actions
+    if (!result) {
+      this.logSecurityEvent('moderation_flag', userId, { ...eventDetails, classifier: 'failed' });
+      return null;
+    }
+
+    const decision = moderationService.decideClassification(result);
+    this.logSecurityEvent('moderation_classified', userId, {
+      ...eventDetails,
+      categories: result.categories,
+      blocked: result.blocked,
+      cached: result.cached,
+      decision: decision.action,
+      category: decision.category
+    });
 
-    return repeatedChars || excessiveCaps || repeatedWords || excessiveSpecial;
+    return { action: decision.action, matches: [{ rule: 'classifier', ...decision }] };
   }
 
-  // Basic harmful content detection
+  // Rule messages are a string or keyed by locale ({ "id": ..., "en": ... })
+  getRejectionMessage(match, locale = null) {
+    if (match.message) {
+      return i18n.localize(match.message, locale);
+    }
+
+    return i18n.t(locale, match.rule === 'spam' ? 'security.spam' : 'security.harmful');
+  }
+
+  // Spam detection logic (thresholds come from the moderation rules file)
+  isSpam(text) {
+    return moderationService.isSpam(text);
+  }
+
+  // Content that a moderation rule rejects outright
   containsHarmfulContent(text) {
-    const harmfulPatterns = [
-      /\b(hack|crack|exploit|ddos|dos|attack)\b/i,
-      /\b(bomb|terror|kill|murder|suicide)\b/i,
-      /\b(drugs|cocaine|heroin|marijuana|cannabis)\b/i,
-      /(https?:\/\/[^\s]+\.(exe|zip|rar|bat|cmd|scr))/i, // Suspicious file downloads
-    ];
+    return moderationService.evaluate(text).matches
+      .some(match => match.action === 'reject' && match.rule !== 'spam');
+  }
+
+  // Validate an image file (photo or document) before downloading it
+  validateImage(file, mimeType, locale = null) {
+    if (!this.allowedImageTypes.includes(mimeType)) {
+      return {
+        valid: false,
+        error: i18n.t(locale, 'security.imageType', {
+          types: this.allowedImageTypes.map(type => type.replace('image/', '')).join(', ')
+        })
+      };
+    }
+
+    if (file.file_size && file.file_size > this.maxImageSize) {
+      const maxMb = Math.round(this.maxImageSize / (1024 * 1024));
+      const sizeMb = (file.file_size / (1024 * 1024)).toFixed(1);
+      return {
+        valid: false,
+        error: i18n.t(locale, 'security.imageSize', { max: maxMb, size: sizeMb })
+      };
+    }
+
+    return { valid: true };
+  }
+
+  // Validate an uploaded document before downloading it
+  validateDocument(file, locale = null) {
+    const extension = (file.file_name || '').split('.').pop().toLowerCase();
+
+    if (!this.allowedDocumentExtensions.includes(extension)) {
+      return {
+        valid: false,
+        error: i18n.t(locale, 'security.documentType')
+      };
+    }
+
+    if (file.file_size && file.file_size > this.maxDocumentSize) {
+      const maxMb = Math.round(this.maxDocumentSize / (1024 * 1024));
+      const sizeMb = (file.file_size / (1024 * 1024)).toFixed(1);
+      return {
+        valid: false,
+        error: i18n.t(locale, 'security.documentSize', { max: maxMb, size: sizeMb })
+      };
+    }
+
+    return { valid: true, extension };
+  }
+
+  // Validate a voice note or audio file before downloading it
+  validateAudio(file, mimeType, locale = null) {
+    if (!this.allowedAudioTypes.includes(mimeType)) {
+      return {
+        valid: false,
+        error: i18n.t(locale, 'security.audioType')
+      };
+    }
+
+    if (file.duration && file.duration > this.maxAudioDuration) {
+      return {
+        valid: false,
+        error: i18n.t(locale, 'security.audioDuration', { max: this.maxAudioDuration, duration: file.duration })
+      };
+    }
+
+    if (file.file_size && file.file_size > this.maxAudioSize) {
+      const maxMb = Math.round(this.maxAudioSize / (1024 * 1024));
+      const sizeMb = (file.file_size / (1024 * 1024)).toFixed(1);
+      return {
+        valid: false,
+        error: i18n.t(locale, 'security.audioSize', { max: maxMb, size: sizeMb })
+      };
+    }
+
+    return { valid: true };
+  }
+
+  // Validate a custom system prompt before it is stored
+  validateSystemPrompt(prompt, locale = null) {
+    const text = (prompt || '').trim();
+
+    if (text.length < this.minSystemPromptLength) {
+      return {
+        valid: false,
+        error: i18n.t(locale, 'security.promptTooShort', { min: this.minSystemPromptLength })
+      };
+    }
+
+    if (text.length > this.maxSystemPromptLength) {
+      return {
+        valid: false,
+        error: i18n.t(locale, 'security.promptTooLong', { max: this.maxSystemPromptLength, length: text.length })
+      };
+    }
+
+    if (this.containsHarmfulContent(text)) {
+      return {
+        valid: false,
+        error: i18n.t(locale, 'security.promptHarmful')
+      };
+    }
 
-    return harmfulPatterns.some(pattern => pattern.test(text));
+    return { valid: true, prompt: this.sanitizeInput(text) };
   }
 
   // Sanitize input
@@ -120,33 +340,263 @@ class SecurityMiddleware {
       .trim();
   }
 
-  // Block user
-  blockUser(userId, reason = 'Violation of terms') {
-    this.blockedUsers.add(userId);
+  // Copy persisted blocks into the store (called once at startup)
+  async loadBlockedUsers() {
+    try {
+      const rows = await database.getBlockedUsers();
+      for (const row of rows) {
+        await this.cacheBlock(row.telegram_id, this.toBlockEntry(row));
+      }
+      console.log(`Loaded ${rows.length} blocked users`);
+    } catch (error) {
+      console.error('Error loading blocked users:', error);
+    }
+  }
+
+  async cacheBlock(userId, entry) {
+    const ttlMs = entry.expiresAt ? entry.expiresAt - Date.now() : null;
+    if (ttlMs === null || ttlMs > 0) {
+      await store.set(`block:${userId}`, entry, ttlMs);
+    }
+  }
+
+  toBlockEntry(row) {
+    return {
+      reason: row.reason,
+      blockedBy: row.blocked_by,
+      expiresAt: row.expires_at ? this.parseTimestamp(row.expires_at) : null,
+      createdAt: row.created_at
+    };
+  }
+
+  // SQLite datetimes are UTC without a zone suffix
+  parseTimestamp(value) {
+    return new Date(`${value.replace(' ', 'T')}Z`).getTime();
+  }
+
+  // Parse a duration like 30m, 12h, 7d or 2w into seconds
+  parseDuration(value) {
+    const match = /^(\d+)(m|h|d|w)$/i.exec((value || '').trim());
+    if (!match) {
+      return null;
+    }
+
+    const multipliers = { m: 60, h: 3600, d: 86400, w: 604800 };
+    return parseInt(match[1]) * multipliers[match[2].toLowerCase()];
+  }
+
+  // Parse "10m,1h,24h,7d" into seconds
+  parseDurationList(value) {
+    return value.split(',')
+      .map(item => this.parseDuration(item))
+      .filter(Boolean);
+  }
+
+  // Called with { userId, reason, strikes, level, durationSeconds } after an automatic block
+  setAutoBlockHandler(handler) {
+    this.autoBlockHandler = handler;
+  }
+
+  // Log a rejected message and add a strike; returns the block entry if this triggered an automatic block
+  async recordViolation(userId, event, details = {}) {
+    this.logSecurityEvent(event, userId, details);
+
+    if (await this.isAdmin(userId)) {
+      return null;
+    }
+
+    try {
+      const status = await this.getStrikeStatus(userId);
+      const strikes = status.strikes + 1;
+      const autoBlocks = status.autoBlocks;
+
+      if (strikes < this.strikeThreshold) {
+        await database.saveUserStrikes(userId, { strikes, autoBlocks });
+        return null;
+      }
+
+      // Escalate through the configured durations, then block permanently pending admin review.
+      // The stored reason is audit data, so it uses the deployment's default language.
+      const durationSeconds = this.strikeBlockDurations[autoBlocks] || null;
+      const reason = i18n.t(null, durationSeconds ? 'security.autoBlockReason' : 'security.autoBlockReasonReview', { event });
+
+      await database.saveUserStrikes(userId, { strikes: 0, autoBlocks: autoBlocks + 1 });
+      const block = await this.blockUser(userId, reason, { durationSeconds, automatic: true });
+
+      if (this.autoBlockHandler) {
+        Promise.resolve(this.autoBlockHandler({ userId, reason, strikes, level: autoBlocks + 1, durationSeconds }))
+          .catch(error => console.error('Error in auto block handler:', error));
+      }
+
+      return block;
+    } catch (error) {
+      console.error('Error recording strike:', error);
+      return null;
+    }
+  }
+
+  getAutoBlockMessage(block, locale = null) {
+    if (!block.expiresAt) {
+      return i18n.t(locale, 'security.autoBlockedPermanent');
+    }
+
+    return `${i18n.t(locale, 'security.autoBlockedTemporary')}\n` +
+           i18n.t(locale, 'security.blockEnds', { date: i18n.formatDateTime(locale, block.expiresAt) });
+  }
+
+  // Current strikes after decay and the number of automatic blocks so far
+  async getStrikeStatus(userId) {
+    try {
+      const record = await database.getUserStrikes(userId);
+      if (!record) {
+        return { strikes: 0, autoBlocks: 0 };
+      }
+
+      const decayMs = this.strikeDecayHours * 3600 * 1000;
+      const elapsed = record.last_strike_at ? Date.now() - this.parseTimestamp(record.last_strike_at) : 0;
+      return {
+        strikes: Math.max(record.strikes - Math.floor(elapsed / decayMs), 0),
+        autoBlocks: record.auto_blocks
+      };
+    } catch (error) {
+      console.error('Error getting strike status:', error);
+      return { strikes: 0, autoBlocks: 0 };
+    }
+  }
+
+  // Active block entry for a user, or null; expired blocks drop out of the store on their own
+  async getBlock(userId) {
+    try {
+      return await store.get(`block:${userId}`);
+    } catch (error) {
+      console.error('Error checking block:', error);
+      return null;
+    }
+  }
+
+  async isBlocked(userId) {
+    return (await this.getBlock(userId)) !== null;
+  }
+
+  // Block user (permanently when no duration is given)
+  async blockUser(userId, reason = 'Violation of terms', options = {}) {
+    const { blockedBy = null, durationSeconds = null, automatic = false } = options;
+
+    let entry = {
+      reason,
+      blockedBy,
+      expiresAt: durationSeconds ? Date.now() + durationSeconds * 1000 : null,
+      createdAt: new Date().toISOString()
+    };
+
+    try {
+      const row = await database.saveBlockedUser(userId, { reason, blockedBy, durationSeconds });
+      entry = this.toBlockEntry(row);
+    } catch (error) {
+      console.error('Error persisting block:', error);
+    }
+
+    try {
+      await this.cacheBlock(userId, entry);
+    } catch (error) {
+      console.error('Error storing block:', error);
+    }
+
     console.log(`User ${userId} blocked: ${reason}`);
+    this.logSecurityEvent('user_blocked', userId, { reason, blockedBy, durationSeconds, automatic });
+    return entry;
   }
 
   // Unblock user
-  unblockUser(userId) {
-    this.blockedUsers.delete(userId);
+  async unblockUser(userId, options = {}) {
+    const { unblockedBy = null, reason = null } = options;
+    const wasBlocked = await this.isBlocked(userId);
+
+    try {
+      await store.delete(`block:${userId}`);
+      await database.deleteBlockedUser(userId);
+
+      // A manual unblock counts as an admin review and clears the strike history
+      if (unblockedBy) {
+        await database.deleteUserStrikes(userId);
+      }
+    } catch (error) {
+      console.error('Error removing persisted block:', error);
+    }
+
     console.log(`User ${userId} unblocked`);
+    this.logSecurityEvent('user_unblocked', userId, { unblockedBy, reason });
+    return wasBlocked;
+  }
+
+  async getBlockedUsers() {
+    try {
+      const rows = await database.getBlockedUsers();
+      return rows.map(row => ({ userId: row.telegram_id, ...this.toBlockEntry(row) }));
+    } catch (error) {
+      console.error('Error getting blocked users:', error);
+      return [];
+    }
   }
 
   // Check if user is admin
-  isAdmin(userId) {
-    return this.adminUsers.has(userId);
+  async isAdmin(userId) {
+    return this.isOwner(userId) || (await this.getAdmins()).has(userId);
+  }
+
+  isOwner(userId) {
+    return this.ownerUsers.has(userId);
+  }
+
+  // Owners plus admins promoted from Telegram, cached for adminCacheTimeout
+  async getAdmins() {
+    if (this.adminCache && Date.now() - this.adminCache.loadedAt < this.adminCacheTimeout) {
+      return this.adminCache.admins;
+    }
+
+    try {
+      const rows = await database.getAdminUsers();
+      const admins = new Set([...this.ownerUsers, ...rows.map(row => row.telegram_id)]);
+      this.adminCache = { admins, loadedAt: Date.now() };
+      return admins;
+    } catch (error) {
+      // Keep the last known admins rather than demoting everyone while the database is unavailable
+      console.error('Error loading admins:', error);
+      return this.adminCache?.admins || new Set(this.ownerUsers);
+    }
   }
 
   // Add admin user
-  addAdmin(userId) {
-    this.adminUsers.add(userId);
+  async addAdmin(userId, addedBy = null) {
+    await database.saveAdminUser(userId, addedBy);
+    this.adminCache = null;
+
     console.log(`User ${userId} added as admin`);
+    this.logSecurityEvent('admin_added', userId, { addedBy });
   }
 
-  // Log security event
+  // Remove admin user (owners from ADMIN_USER_IDS cannot be removed)
+  async removeAdmin(userId, removedBy = null) {
+    if (this.isOwner(userId)) {
+      return false;
+    }
+
+    const wasAdmin = await database.deleteAdminUser(userId);
+    this.adminCache = null;
+
+    console.log(`User ${userId} removed as admin`);
+    this.logSecurityEvent('admin_removed', userId, { removedBy });
+    return wasAdmin;
+  }
+
+  // Log security event to console and the audit log
   logSecurityEvent(event, userId, details = {}) {
     const timestamp = new Date().toISOString();
     console.log(`[SECURITY] ${timestamp} - ${event} - User: ${userId}`, details);
+
+    database.saveSecurityEvent(userId, event, details).catch(() => {
+      // Already logged by the database service
+    });
   }
 
   // Middleware for command validation
@@ -155,14 +605,18 @@ class SecurityMiddleware {
     
     // Only allow commands that start with /
     if (text.startsWith('/')) {
-      const command = text.split(' ')[0].toLowerCase();
+      // Strip the @botname suffix used for commands in group chats
+      const command = text.split(' ')[0].split('@')[0].toLowerCase();
       const allowedCommands = [
         '/start', '/help', '/clear', '/stats', '/model', '/models', 
-        '/prompt', '/settings', '/ping', '/admin'
+        '/prompt', '/settings', '/ping', '/admin', '/docs', '/groupsettings',
+        '/new', '/threads', '/rename', '/delete', '/summary',
+        '/quota', '/setquota', '/block', '/unblock', '/user', '/admins', '/broadcast',
+        '/moderation', '/language'
       ];
       
       if (!allowedCommands.includes(command)) {
-        await ctx.reply('❌ Perintah tidak dikenal. Ketik /help untuk melihat perintah yang tersedia.');
+        await ctx.reply(i18n.t(this.getLocale(ctx), 'security.unknownCommand'));
         return;
       }
     }
@@ -171,15 +625,12 @@ class SecurityMiddleware {
   }
 
   // Get security stats
-  getSecurityStats() {
+  async getSecurityStats() {
     return {
-      blockedUsers: this.blockedUsers.size,
-      adminUsers: this.adminUsers.size,
-      rateLimitConfig: {
-        points: this.rateLimiter.points,
-        duration: this.rateLimiter.duration,
-        blockDuration: this.rateLimiter.blockDuration
-      }
+      blockedUsers: (await this.getBlockedUsers()).length,
+      adminUsers: (await this.getAdmins()).size,
+      store: store.name,
+      rateLimitConfig: { ...this.rateLimitConfig }
     };
   }
 }
@@ -0,0 +1,102 @@
+const crypto = require('crypto');
+const geminiService = require('./gemini');
+
+// Second moderation stage: asks a cheap Gemini model to score borderline messages per category
+class ClassifierService {
+  constructor() {
+    this.enabled = process.env.MODERATION_CLASSIFIER_ENABLED === 'true';
+    this.model = process.env.MODERATION_CLASSIFIER_MODEL || 'gemini-1.5-flash';
+    this.cacheTimeout = (parseInt(process.env.MODERATION_CACHE_HOURS) || 24) * 60 * 60 * 1000;
+    this.cacheSize = parseInt(process.env.MODERATION_CACHE_SIZE) || 1000;
+    this.cache = new Map();
+
+    // Anything with generateResponse(prompt, options) works, so tests can swap in a mock
+    this.client = geminiService;
+  }
+
+  isEnabled() {
+    return this.enabled;
+  }
+
+  setClient(client) {
+    this.client = client;
+    this.cache.clear();
+  }
+
+  hash(text) {
+    return crypto.createHash('sha256').update(text.trim().toLowerCase()).digest('hex');
+  }
+
+  // Returns { categories: { name: confidence }, blocked, cached } or null when classification failed.
+  // options.userId charges the classifier call to the user whose message is checked
+  async classify(text, categories, options = {}) {
+    const key = this.hash(text);
+    const cached = this.cache.get(key);
+
+    if (cached && Date.now() - cached.timestamp < this.cacheTimeout) {
+      return { ...cached.result, cached: true };
+    }
+
+    const result = await this.requestClassification(text, categories, options);
+    if (!result) {
+      return null;
+    }
+
+    // Drop the oldest entry once the cache is full (Map keeps insertion order)
+    if (this.cache.size >= this.cacheSize) {
+      this.cache.delete(this.cache.keys().next().value);
+    }
+    this.cache.set(key, { result, timestamp: Date.now() });
+
+    return { ...result, cached: false };
+  }
+
+  async requestClassification(text, categories, options = {}) {
+    const prompt = 'Classify the following user message for a chatbot moderation system. ' +
+                   `For each category (${categories.join(', ')}) give the probability from 0 to 1 that the message ` +
+                   'requests or promotes that kind of content. Questions about the topic for education, safety, ' +
+                   'fiction or technical work (for example killing a process or a chess attack) score low.\n' +
+                   'Respond with only a JSON object mapping category to probability.\n\n' +
+                   `Message:\n"""${text.substring(0, 2000)}"""`;
+
+    const result = await this.client.generateResponse(prompt, {
+      model: this.model,
+      userId: options.userId || null,
+      usageKind: 'moderation',
+      systemPrompt: 'You are a strict content moderation classifier. Output only JSON.',
+      conversationHistory: []
+    });
+
+    // Gemini refusing to even classify the message is a signal of its own
+    if (!result.success) {
+      const blocked = ['blocked_prompt', 'blocked_response'].includes(result.error);
+      return blocked ? { categories: {}, blocked: true } : null;
+    }
+
+    try {
+      const json = result.text.replace(/^```(?:json)?\s*|\s*```$/g, '');
+      const parsed = JSON.parse(json);
+      const scores = {};
+
+      for (const category of categories) {
+        const confidence = parseFloat(parsed[category]);
+        scores[category] = isNaN(confidence) ? 0 : Math.min(Math.max(confidence, 0), 1);
+      }
+
+      return { categories: scores, blocked: false };
+    } catch (error) {
+      console.error('Error parsing moderation classification:', result.text);
+      return null;
+    }
+  }
+
+  getStats() {
+    return {
+      enabled: this.enabled,
+      model: this.model,
+      cacheEntries: this.cache.size
+    };
+  }
+}
+
+module.exports = new ClassifierService();
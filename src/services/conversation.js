@@ -1,84 +1,195 @@
 const database = require('./database');
+const geminiService = require('./gemini');
+const store = require('./store');
 
 class ConversationService {
   constructor() {
     this.maxContextMessages = parseInt(process.env.MAX_CONTEXT_MESSAGES) || 20;
-    this.contextCache = new Map(); // In-memory cache for active conversations
+    // Active conversations are cached in the shared store under context:<scope>
     this.cacheTimeout = 30 * 60 * 1000; // 30 minutes
+    // Cache more turns than the context window so overflow can still be summarized
+    this.cacheSize = this.maxContextMessages * 2;
+    // Scopes with a summary update in progress hold summary_lock:<scope> in the shared store
+    this.summaryLockTimeout = 5 * 60 * 1000; // 5 minutes
+    // Turns that no longer fit the context are folded into the summary in batches, not one call per message
+    this.summaryBatchTurns = parseInt(process.env.SUMMARY_BATCH_TURNS) || 10;
+    this.summaryBatchTokens = parseInt(process.env.SUMMARY_BATCH_TOKENS) || 8000;
+    this.summaryMaxTurns = 100; // per summary call; the rest follows in the next batch
+    // The latest turn per scope (prompt and reply message ids) is kept under last_turn:<scope>
+    this.lastTurnTimeout = 24 * 60 * 60 * 1000; // 24 hours
   }
 
-  // Get conversation context for a user
-  async getConversationContext(userId, maxMessages = null) {
+  // Group chats share one context per chat, private chats are keyed by the active thread
+  async resolveScope(userId, chatId = null) {
+    if (chatId) {
+      return { cacheKey: `chat_${chatId}`, chatId, threadId: null };
+    }
+
+    const threadId = await this.getActiveThreadId(userId);
+    return { cacheKey: `thread_${threadId}`, chatId: null, threadId };
+  }
+
+  // Get conversation context for a user's active thread (or a group chat when chatId is given)
+  async getConversationContext(userId, maxMessages = null, chatId = null) {
     try {
       const limit = maxMessages || this.maxContextMessages;
+      const scope = await this.resolveScope(userId, chatId);
       
       // Try to get from cache first
-      const cacheKey = `user_${userId}`;
-      const cached = this.contextCache.get(cacheKey);
+      const cached = await store.get(`context:${scope.cacheKey}`);
       
-      if (cached && Date.now() - cached.timestamp < this.cacheTimeout) {
-        console.log(`Using cached context for user ${userId}`);
-        return cached.conversations.slice(-limit);
+      if (cached) {
+        console.log(`Using cached context for ${scope.cacheKey}`);
+        return cached.slice(-limit);
       }
 
-      // Get from database
-      const conversations = await database.getUserConversations(userId, limit);
+      // Get from database (always a full cache window so later larger limits are served correctly)
+      const fetchLimit = Math.max(limit, this.cacheSize);
+      const conversations = scope.chatId
+        ? await database.getChatConversations(scope.chatId, fetchLimit)
+        : await database.getThreadConversations(scope.threadId, fetchLimit);
       
       // Update cache
-      this.contextCache.set(cacheKey, {
-        conversations,
-        timestamp: Date.now()
-      });
+      await store.set(`context:${scope.cacheKey}`, conversations, this.cacheTimeout);
 
-      return conversations;
+      return conversations.slice(-limit);
     } catch (error) {
       console.error('Error getting conversation context:', error);
       return [];
     }
   }
 
-  // Save a new conversation
-  async saveConversation(userId, userMessage, aiResponse, modelUsed) {
+  // Save a new conversation and return its id
+  async saveConversation(userId, userMessage, aiResponse, modelUsed, extra = {}) {
+    const { chatId = null, usage = null, quote = null } = extra;
+
     try {
-      await database.saveConversation(userId, userMessage, aiResponse, modelUsed);
-      
-      // Update cache
-      const cacheKey = `user_${userId}`;
-      const cached = this.contextCache.get(cacheKey);
-      
-      if (cached) {
-        cached.conversations.push({
-          message: userMessage,
-          response: aiResponse,
-          created_at: new Date().toISOString(),
-          model_used: modelUsed
-        });
-        
-        // Keep only the last maxContextMessages
-        if (cached.conversations.length > this.maxContextMessages) {
-          cached.conversations = cached.conversations.slice(-this.maxContextMessages);
-        }
-        
-        cached.timestamp = Date.now();
+      const scope = await this.resolveScope(userId, chatId);
+      const tokenCount = this.countTurnTokens(userMessage, aiResponse, usage, quote);
+
+      const conversationId = await database.saveConversation(userId, userMessage, aiResponse, modelUsed, {
+        ...extra,
+        threadId: scope.threadId,
+        tokenCount
+      });
+
+      if (scope.threadId) {
+        await database.touchThread(scope.threadId);
+
+        // Title new threads from their first exchange without delaying the reply
+        this.autoTitleThread(userId, scope.threadId, userMessage, aiResponse)
+          .catch(error => console.error('Error auto-titling thread:', error));
       }
+      
+      // Drop the cached window instead of appending to it: a read-modify-write would lose turns
+      // saved concurrently by other instances or group members
+      await store.delete(`context:${scope.cacheKey}`);
 
       console.log(`Conversation saved for user ${userId}`);
+      return conversationId;
     } catch (error) {
       console.error('Error saving conversation:', error);
       throw error;
     }
   }
 
-  // Clear conversation history for a user
-  async clearConversationHistory(userId) {
+  // Size of a turn when it is resent as context later: the answer's tokens come from the response's
+  // usage metadata and the prompt (with the quote it was sent with) is estimated, so saving a turn costs no extra API call
+  countTurnTokens(userMessage, aiResponse, usage = null, quote = null) {
+    const responseTokens = usage?.completionTokens || geminiService.estimateTokens(aiResponse);
+    return geminiService.estimateTokens(quote ? `${quote}\n\n${userMessage}` : userMessage) + responseTokens;
+  }
+
+  // Replace the prompt and answer of an existing turn (regenerated answer or edited prompt)
+  async replaceConversation(userId, conversationId, userMessage, aiResponse, modelUsed, extra = {}) {
+    const { chatId = null, usage = null, systemPrompt = null, quote = null } = extra;
+
+    try {
+      const scope = await this.resolveScope(userId, chatId);
+      const tokenCount = this.countTurnTokens(userMessage, aiResponse, usage, quote);
+
+      await database.updateConversation(conversationId, {
+        message: userMessage,
+        response: aiResponse,
+        modelUsed,
+        tokenCount,
+        usage,
+        systemPrompt,
+        quote
+      });
+
+      // The cached window still holds the old turn
+      await store.delete(`context:${scope.cacheKey}`);
+
+      console.log(`Conversation ${conversationId} replaced for user ${userId}`);
+      return conversationId;
+    } catch (error) {
+      console.error('Error replacing conversation:', error);
+      throw error;
+    }
+  }
+
+  // Remember the newest turn of a scope so it can be regenerated or re-run after an edit
+  async rememberLastTurn(userId, chatId, turn) {
+    try {
+      const scope = await this.resolveScope(userId, chatId);
+      await store.set(`last_turn:${scope.cacheKey}`, turn, this.lastTurnTimeout);
+    } catch (error) {
+      console.error('Error remembering last turn:', error);
+    }
+  }
+
+  async getLastTurn(userId, chatId = null) {
     try {
-      await database.clearUserHistory(userId);
+      const scope = await this.resolveScope(userId, chatId);
+      return await store.get(`last_turn:${scope.cacheKey}`);
+    } catch (error) {
+      console.error('Error getting last turn:', error);
+      return null;
+    }
+  }
+
+  // Persist which Telegram messages carried a turn's prompt and reply (chat id is Telegram's, private chats included)
+  async linkMessages(telegramChatId, conversationId, { promptMessageId = null, replyMessageIds = [] }) {
+    const links = replyMessageIds.map(messageId => ({ messageId, role: 'reply' }));
+    if (promptMessageId) {
+      links.unshift({ messageId: promptMessageId, role: 'prompt' });
+    }
+
+    try {
+      await database.saveMessageLinks(telegramChatId, conversationId, links);
+    } catch (error) {
+      console.error('Error linking messages:', error);
+    }
+  }
+
+  // The stored turn a Telegram message belongs to, with its role ('prompt' or 'reply')
+  async findTurnByMessage(telegramChatId, messageId) {
+    try {
+      return await database.getLinkedConversation(telegramChatId, messageId) || null;
+    } catch (error) {
+      console.error('Error finding turn by message:', error);
+      return null;
+    }
+  }
+
+  // Clear conversation history for a user's active thread (or a group chat when chatId is given)
+  async clearConversationHistory(userId, chatId = null) {
+    try {
+      const scope = await this.resolveScope(userId, chatId);
+
+      if (scope.chatId) {
+        await database.clearChatHistory(scope.chatId);
+      } else {
+        await database.clearThreadHistory(scope.threadId);
+      }
+      await database.deleteSummary(scope.cacheKey);
       
       // Clear from cache
-      const cacheKey = `user_${userId}`;
-      this.contextCache.delete(cacheKey);
+      await store.delete(`context:${scope.cacheKey}`);
+      await store.delete(`last_turn:${scope.cacheKey}`);
       
-      console.log(`Conversation history cleared for user ${userId}`);
+      console.log(`Conversation history cleared for ${scope.cacheKey}`);
       return true;
     } catch (error) {
       console.error('Error clearing conversation history:', error);
@@ -86,6 +197,101 @@ class ConversationService {
     }
   }
 
+  // Get the active thread, creating one (with any pre-thread history) if needed
+  async getActiveThreadId(userId) {
+    const thread = await database.getActiveThread(userId);
+    if (thread) {
+      return thread.id;
+    }
+
+    const threads = await database.getUserThreads(userId);
+    if (threads.length > 0) {
+      await database.setActiveThread(userId, threads[0].id);
+      return threads[0].id;
+    }
+
+    const threadId = await database.createThread(userId, null);
+    await database.assignOrphanConversations(userId, threadId);
+    return threadId;
+  }
+
+  async getActiveThread(userId) {
+    try {
+      const threadId = await this.getActiveThreadId(userId);
+      return await database.getThread(userId, threadId);
+    } catch (error) {
+      console.error('Error getting active thread:', error);
+      return null;
+    }
+  }
+
+  async createThread(userId, title = null) {
+    try {
+      return await database.createThread(userId, title);
+    } catch (error) {
+      console.error('Error creating thread:', error);
+      return null;
+    }
+  }
+
+  async listThreads(userId) {
+    try {
+      await this.getActiveThreadId(userId);
+      return await database.getUserThreads(userId);
+    } catch (error) {
+      console.error('Error listing threads:', error);
+      return [];
+    }
+  }
+
+  async switchThread(userId, threadId) {
+    try {
+      return await database.setActiveThread(userId, threadId);
+    } catch (error) {
+      console.error('Error switching thread:', error);
+      return false;
+    }
+  }
+
+  async renameThread(userId, threadId, title) {
+    try {
+      return await database.renameThread(userId, threadId, title);
+    } catch (error) {
+      console.error('Error renaming thread:', error);
+      return false;
+    }
+  }
+
+  // Delete a thread and its history; another thread becomes active if it was the active one
+  async deleteThread(userId, threadId) {
+    try {
+      const deleted = await database.deleteThread(userId, threadId);
+      if (deleted) {
+        await store.delete(`context:thread_${threadId}`);
+        await store.delete(`last_turn:thread_${threadId}`);
+        await database.deleteSummary(`thread_${threadId}`);
+      }
+      return deleted;
+    } catch (error) {
+      console.error('Error deleting thread:', error);
+      return false;
+    }
+  }
+
+  // Generate a title for an untitled thread from an exchange
+  async autoTitleThread(userId, threadId, userMessage, aiResponse) {
+    const thread = await database.getThread(userId, threadId);
+    if (!thread || thread.title) {
+      return;
+    }
+
+    const title = await geminiService.generateTitle(userMessage, aiResponse, { userId });
+    if (title) {
+      await database.renameThread(userId, threadId, title);
+      console.log(`Thread ${threadId} titled "${title}"`);
+    }
+  }
+
   // Get conversation summary for a user
   async getConversationSummary(userId) {
     try {
@@ -131,39 +337,129 @@ class ConversationService {
   }
 
   // Get recent conversations for context (optimized for AI)
-  async getRecentContextForAI(userId, maxMessages = 10) {
+  // Returns the newest turns that fit the model's token budget plus the running summary of older turns.
+  // reservedTokens is taken off the budget first for other context sent with the request (the active document)
+  async getRecentContextForAI(userId, maxMessages = 10, chatId = null, model = null, reservedTokens = 0) {
     try {
-      const conversations = await this.getConversationContext(userId, maxMessages);
-      
-      // Filter out very old conversations (older than 24 hours)
-      const twentyFourHoursAgo = new Date(Date.now() - 24 * 60 * 60 * 1000);
-      const recentConversations = conversations.filter(conv => {
-        const convDate = new Date(conv.created_at);
-        return convDate > twentyFourHoursAgo;
-      });
+      const scope = await this.resolveScope(userId, chatId);
+      const summary = await database.getSummary(scope.cacheKey);
+      const conversations = await this.getConversationContext(userId, this.cacheSize, chatId);
+
+      // Turns already folded into the summary are not sent again
+      const summarizedUntil = summary?.last_conversation_id || 0;
+      const unsummarized = conversations.filter(conv => !conv.id || conv.id > summarizedUntil);
 
-      return recentConversations;
+      let remainingTokens = geminiService.getContextTokenBudget(model || geminiService.defaultModel) -
+                            (summary?.token_count || 0) - reservedTokens;
+      const recentConversations = [];
+
+      for (let i = unsummarized.length - 1; i >= 0; i--) {
+        const tokens = geminiService.getTurnTokens(unsummarized[i]);
+        if (recentConversations.length >= maxMessages || tokens > remainingTokens) {
+          break;
+        }
+        remainingTokens -= tokens;
+        recentConversations.unshift(unsummarized[i]);
+      }
+
+      // Everything older than what fits is compressed into the summary in the background. When the cached
+      // window starts with an unsummarized turn, older unsummarized turns may sit outside it in the database
+      const oldestKeptId = recentConversations[0]?.id;
+      const hasOverflow = recentConversations.length < unsummarized.length ||
+                          (conversations.length >= this.cacheSize && conversations[0]?.id > summarizedUntil);
+      if (oldestKeptId && hasOverflow) {
+        this.updateSummary(scope, summary, oldestKeptId, userId);
+      }
+
+      return {
+        conversations: recentConversations,
+        summary: summary?.content || null
+      };
     } catch (error) {
       console.error('Error getting recent context for AI:', error);
-      return [];
+      return { conversations: [], summary: null };
     }
   }
 
-  // Cleanup old cache entries
-  cleanupCache() {
-    const now = Date.now();
-    for (const [key, value] of this.contextCache.entries()) {
-      if (now - value.timestamp > this.cacheTimeout) {
-        this.contextCache.delete(key);
+  // Unsummarized turns before beforeId, read from the database so none outside the cached window are skipped
+  async getSummaryOverflow(scope, summary, beforeId) {
+    const overflow = await database.getConversationsBetween(
+      scope, summary?.last_conversation_id || 0, beforeId, this.summaryMaxTurns
+    );
+    const tokens = overflow.reduce((sum, conv) => sum + geminiService.getTurnTokens(conv), 0);
+    const ready = overflow.length >= this.summaryBatchTurns || tokens >= this.summaryBatchTokens;
+    return ready ? overflow : [];
+  }
+
+  // Fold overflowing turns into the stored running summary once a batch is ready (fire-and-forget)
+  updateSummary(scope, currentSummary, beforeId, userId) {
+    const lockKey = `summary_lock:${scope.cacheKey}`;
+
+    (async () => {
+      if ((await this.getSummaryOverflow(scope, currentSummary, beforeId)).length === 0) {
+        return;
+      }
+
+      // Only one instance summarizes a scope at a time
+      if (!(await store.setIfAbsent(lockKey, true, this.summaryLockTimeout))) {
+        return;
       }
+
+      try {
+        // Another instance may have folded turns in since the summary was read
+        const summary = await database.getSummary(scope.cacheKey);
+        const overflow = await this.getSummaryOverflow(scope, summary, beforeId);
+        if (overflow.length === 0) {
+          return;
+        }
+
+        const result = await geminiService.summarizeConversation(summary?.content || null, overflow, { userId });
+        if (!result.success) {
+          return;
+        }
+
+        const lastConversationId = overflow[overflow.length - 1].id;
+        const tokenCount = result.usage?.completionTokens || geminiService.estimateTokens(result.text);
+        await database.saveSummary(scope.cacheKey, result.text, lastConversationId, tokenCount);
+        console.log(`Summary updated for ${scope.cacheKey} (${overflow.length} turns folded in)`);
+      } finally {
+        await store.delete(lockKey);
+      }
+    })()
+      .catch(error => console.error('Error updating summary:', error));
+  }
+
+  // Get the running summary of the active thread (or group chat)
+  async getSummary(userId, chatId = null) {
+    try {
+      const scope = await this.resolveScope(userId, chatId);
+      return await database.getSummary(scope.cacheKey);
+    } catch (error) {
+      console.error('Error getting summary:', error);
+      return null;
+    }
+  }
+
+  // Cleanup expired cache entries (and other expired keys in the shared store)
+  async cleanupCache() {
+    try {
+      await store.cleanup();
+    } catch (error) {
+      console.error('Error cleaning up cache:', error);
     }
   }
 
   // Get active conversation stats
-  getActiveConversationStats() {
-    this.cleanupCache();
+  async getActiveConversationStats() {
+    let activeCacheEntries = 0;
+    try {
+      activeCacheEntries = await store.count('context:');
+    } catch (error) {
+      console.error('Error counting cache entries:', error);
+    }
+
     return {
-      activeCacheEntries: this.contextCache.size,
+      activeCacheEntries,
       cacheTimeout: this.cacheTimeout,
       maxContextMessages: this.maxContextMessages
     };
@@ -218,7 +514,9 @@ class ConversationService {
           COUNT(*) as total_messages,
           COUNT(DISTINCT DATE(created_at)) as active_days,
           model_used,
-          COUNT(*) as model_count
+          COUNT(*) as model_count,
+          COALESCE(SUM(prompt_tokens), 0) as prompt_tokens,
+          COALESCE(SUM(completion_tokens), 0) as completion_tokens
         FROM conversations 
         WHERE user_id = ?
         GROUP BY model_used
@@ -228,13 +526,17 @@ class ConversationService {
       const modelUsage = stats.map(stat => ({
         model: stat.model_used,
         count: stat.model_count,
-        percentage: ((stat.model_count / totalMessages) * 100).toFixed(2)
+        percentage: ((stat.model_count / totalMessages) * 100).toFixed(2),
+        tokens: stat.prompt_tokens + stat.completion_tokens
       }));
 
+      const tokenUsage = await database.getUserTokenUsage(userId);
+
       return {
         totalMessages,
         activeDays: stats[0]?.active_days || 0,
-        modelUsage
+        modelUsage,
+        tokenUsage
       };
     } catch (error) {
       console.error('Error getting conversation stats:', error);
@@ -21,6 +21,9 @@ class DatabaseService {
       
       // Enable foreign keys
       await this.run('PRAGMA foreign_keys = ON');
+
+      // Wait for locks instead of failing when several processes share the file
+      this.db.configure('busyTimeout', 5000);
       
       // Create tables
       await this.createTables();
@@ -52,7 +55,32 @@ class DatabaseService {
         message TEXT NOT NULL,
         response TEXT NOT NULL,
         model_used TEXT,
+        media_type TEXT,
+        media_file_id TEXT,
+        chat_id INTEGER,
+        speaker_name TEXT,
+        thread_id INTEGER,
+        token_count INTEGER,
+        prompt_tokens INTEGER,
+        completion_tokens INTEGER,
+        regeneration_count INTEGER DEFAULT 0,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+      )
+    `;
+
+    // Thumbs up (1) / down (-1) on bot answers, one rating per user per answer
+    const createFeedbackTable = `
+      CREATE TABLE IF NOT EXISTS feedback (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        conversation_id INTEGER NOT NULL,
+        user_id INTEGER NOT NULL,
+        rating INTEGER NOT NULL,
+        comment TEXT,
         created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (conversation_id, user_id),
+        FOREIGN KEY (conversation_id) REFERENCES conversations (id) ON DELETE CASCADE,
         FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
       )
     `;
@@ -63,28 +91,252 @@ class DatabaseService {
         system_prompt TEXT,
         preferred_model TEXT,
         max_context_messages INTEGER DEFAULT 20,
+        language TEXT,
+        creativity TEXT,
+        response_length TEXT,
+        safety_level TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+      )
+    `;
+
+    const createThreadsTable = `
+      CREATE TABLE IF NOT EXISTS threads (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER NOT NULL,
+        title TEXT,
+        is_active INTEGER DEFAULT 0,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+      )
+    `;
+
+    // scope_key is "thread_<id>" for private threads or "chat_<id>" for group chats
+    const createSummariesTable = `
+      CREATE TABLE IF NOT EXISTS summaries (
+        scope_key TEXT PRIMARY KEY,
+        content TEXT NOT NULL,
+        last_conversation_id INTEGER NOT NULL,
+        token_count INTEGER,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `;
+
+    // NULL limit = use the default from environment, 0 = unlimited
+    const createQuotaOverridesTable = `
+      CREATE TABLE IF NOT EXISTS quota_overrides (
+        user_id INTEGER PRIMARY KEY,
+        daily_requests INTEGER,
+        daily_tokens INTEGER,
+        monthly_requests INTEGER,
+        monthly_tokens INTEGER,
+        granted_by INTEGER,
         created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
         updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
         FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
       )
     `;
 
+    // Keyed by Telegram ID so users can be blocked before they ever talk to the bot
+    const createBlockedUsersTable = `
+      CREATE TABLE IF NOT EXISTS blocked_users (
+        telegram_id INTEGER PRIMARY KEY,
+        reason TEXT,
+        blocked_by INTEGER,
+        expires_at DATETIME,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `;
+
+    // Admins promoted from Telegram; ADMIN_USER_IDS from the environment are not stored here
+    const createAdminUsersTable = `
+      CREATE TABLE IF NOT EXISTS admin_users (
+        telegram_id INTEGER PRIMARY KEY,
+        added_by INTEGER,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `;
+
+    // Strikes decay over time; auto_blocks drives the escalation level
+    const createUserStrikesTable = `
+      CREATE TABLE IF NOT EXISTS user_strikes (
+        telegram_id INTEGER PRIMARY KEY,
+        strikes INTEGER DEFAULT 0,
+        auto_blocks INTEGER DEFAULT 0,
+        last_strike_at DATETIME,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `;
+
+    // Telegram message ids of prompts and bot replies, so replies to old messages find their turn
+    const createMessageLinksTable = `
+      CREATE TABLE IF NOT EXISTS message_links (
+        chat_id INTEGER NOT NULL,
+        message_id INTEGER NOT NULL,
+        conversation_id INTEGER NOT NULL,
+        role TEXT NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (chat_id, message_id),
+        FOREIGN KEY (conversation_id) REFERENCES conversations (id) ON DELETE CASCADE
+      )
+    `;
+
+    // Append-only ledger with one row per Gemini call; quotas read only from here, so deleting history does not reset them
+    const createUsageTable = `
+      CREATE TABLE IF NOT EXISTS usage (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER,
+        kind TEXT NOT NULL,
+        model TEXT,
+        prompt_tokens INTEGER DEFAULT 0,
+        completion_tokens INTEGER DEFAULT 0,
+        success INTEGER DEFAULT 1,
+        billable INTEGER DEFAULT 0,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `;
+
+    // Backing table for STORE_BACKEND=sqlite; expires_at is epoch milliseconds
+    const createKeyValueTable = `
+      CREATE TABLE IF NOT EXISTS kv_store (
+        key TEXT PRIMARY KEY,
+        value TEXT NOT NULL,
+        expires_at INTEGER
+      )
+    `;
+
+    const createSecurityEventsTable = `
+      CREATE TABLE IF NOT EXISTS security_events (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        telegram_id INTEGER,
+        event_type TEXT NOT NULL,
+        details TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `;
+
+    const createChatSettingsTable = `
+      CREATE TABLE IF NOT EXISTS chat_settings (
+        chat_id INTEGER PRIMARY KEY,
+        trigger_policy TEXT DEFAULT 'mention',
+        creativity TEXT,
+        response_length TEXT,
+        safety_level TEXT,
+        updated_by INTEGER,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `;
+
+    const createDocumentsTable = `
+      CREATE TABLE IF NOT EXISTS documents (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER NOT NULL,
+        file_name TEXT NOT NULL,
+        mime_type TEXT,
+        file_id TEXT,
+        content TEXT NOT NULL,
+        is_active INTEGER DEFAULT 0,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+      )
+    `;
+
     // Create indexes for better performance
     const createIndexes = [
       'CREATE INDEX IF NOT EXISTS idx_conversations_user_id ON conversations(user_id)',
       'CREATE INDEX IF NOT EXISTS idx_conversations_created_at ON conversations(created_at)',
-      'CREATE INDEX IF NOT EXISTS idx_users_telegram_id ON users(telegram_id)'
+      'CREATE INDEX IF NOT EXISTS idx_users_telegram_id ON users(telegram_id)',
+      'CREATE INDEX IF NOT EXISTS idx_documents_user_id ON documents(user_id)',
+      'CREATE INDEX IF NOT EXISTS idx_conversations_chat_id ON conversations(chat_id)',
+      'CREATE INDEX IF NOT EXISTS idx_conversations_thread_id ON conversations(thread_id)',
+      'CREATE INDEX IF NOT EXISTS idx_threads_user_id ON threads(user_id)',
+      'CREATE INDEX IF NOT EXISTS idx_security_events_telegram_id ON security_events(telegram_id)',
+      'CREATE INDEX IF NOT EXISTS idx_security_events_created_at ON security_events(created_at)',
+      'CREATE INDEX IF NOT EXISTS idx_kv_store_expires_at ON kv_store(expires_at)',
+      'CREATE INDEX IF NOT EXISTS idx_feedback_conversation_id ON feedback(conversation_id)',
+      'CREATE INDEX IF NOT EXISTS idx_feedback_updated_at ON feedback(updated_at)',
+      'CREATE INDEX IF NOT EXISTS idx_message_links_conversation_id ON message_links(conversation_id)',
+      'CREATE INDEX IF NOT EXISTS idx_usage_user_id_created_at ON usage(user_id, created_at)',
+      'CREATE INDEX IF NOT EXISTS idx_usage_created_at ON usage(created_at)'
     ];
 
     await this.run(createUsersTable);
     await this.run(createConversationsTable);
     await this.run(createUserSettingsTable);
+    await this.run(createDocumentsTable);
+    await this.run(createChatSettingsTable);
+    await this.run(createThreadsTable);
+    await this.run(createSummariesTable);
+    await this.run(createQuotaOverridesTable);
+    await this.run(createBlockedUsersTable);
+    await this.run(createSecurityEventsTable);
+    await this.run(createAdminUsersTable);
+    await this.run(createUserStrikesTable);
+    await this.run(createKeyValueTable);
+    await this.run(createFeedbackTable);
+    await this.run(createMessageLinksTable);
+
+    const hasUsageTable = await this.get("SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'usage'");
+    await this.run(createUsageTable);
+
+    await this.migrateTables();
+
+    // Seed a new ledger from the saved turns so existing users keep this month's usage
+    if (!hasUsageTable) {
+      await this.run(
+        `INSERT INTO usage (user_id, kind, model, prompt_tokens, completion_tokens, billable, created_at) 
+         SELECT user_id, 'chat', model_used, COALESCE(prompt_tokens, 0), COALESCE(completion_tokens, 0), 1, created_at 
+         FROM conversations 
+         WHERE strftime('%Y-%m', created_at) = strftime('%Y-%m', 'now')`
+      );
+    }
 
     for (const index of createIndexes) {
       await this.run(index);
     }
   }
 
+  // Add columns introduced after the initial schema to existing databases
+  async migrateTables() {
+    await this.addColumnIfMissing('conversations', 'media_type', 'TEXT');
+    await this.addColumnIfMissing('conversations', 'media_file_id', 'TEXT');
+    await this.addColumnIfMissing('conversations', 'chat_id', 'INTEGER');
+    await this.addColumnIfMissing('conversations', 'speaker_name', 'TEXT');
+    await this.addColumnIfMissing('conversations', 'thread_id', 'INTEGER');
+    await this.addColumnIfMissing('conversations', 'token_count', 'INTEGER');
+    await this.addColumnIfMissing('conversations', 'prompt_tokens', 'INTEGER');
+    await this.addColumnIfMissing('conversations', 'completion_tokens', 'INTEGER');
+    await this.addColumnIfMissing('conversations', 'regeneration_count', 'INTEGER DEFAULT 0');
+    await this.addColumnIfMissing('conversations', 'system_prompt', 'TEXT');
+    await this.addColumnIfMissing('conversations', 'quote', 'TEXT');
+    await this.addColumnIfMissing('feedback', 'comment', 'TEXT');
+    // Ledgers from before the billable flag: each successful chat answer was one user request
+    if (await this.addColumnIfMissing('usage', 'billable', 'INTEGER DEFAULT 0')) {
+      await this.run("UPDATE usage SET billable = 1 WHERE kind = 'chat' AND success = 1");
+    }
+    await this.addColumnIfMissing('user_settings', 'language', 'TEXT');
+    for (const table of ['user_settings', 'chat_settings']) {
+      await this.addColumnIfMissing(table, 'creativity', 'TEXT');
+      await this.addColumnIfMissing(table, 'response_length', 'TEXT');
+      await this.addColumnIfMissing(table, 'safety_level', 'TEXT');
+    }
+  }
+
+  // Returns true when the column was added
+  async addColumnIfMissing(table, column, definition) {
+    const columns = await this.all(`PRAGMA table_info(${table})`);
+
+    if (!columns.some(existing => existing.name === column)) {
+      await this.run(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+      console.log(`Added column ${table}.${column}`);
+      return true;
+    }
+    return false;
+  }
+
   async run(sql, params = []) {
     return new Promise((resolve, reject) => {
       this.db.run(sql, params, function(error) {
@@ -147,14 +399,88 @@ class DatabaseService {
     }
   }
 
+  async getUserByTelegramId(telegramId) {
+    try {
+      return await this.get(
+        'SELECT * FROM users WHERE telegram_id = ?',
+        [telegramId]
+      );
+    } catch (error) {
+      console.error('Error getting user by telegram id:', error);
+      throw error;
+    }
+  }
+
+  async getAllUsers() {
+    try {
+      return await this.all('SELECT * FROM users ORDER BY id');
+    } catch (error) {
+      console.error('Error getting all users:', error);
+      throw error;
+    }
+  }
+
+  // Users a broadcast goes to: everyone except those with an active block
+  async getBroadcastRecipients() {
+    try {
+      return await this.all(
+        `SELECT * FROM users 
+         WHERE telegram_id NOT IN (
+           SELECT telegram_id FROM blocked_users 
+           WHERE expires_at IS NULL OR expires_at > datetime('now')
+         ) 
+         ORDER BY id`
+      );
+    } catch (error) {
+      console.error('Error getting broadcast recipients:', error);
+      throw error;
+    }
+  }
+
+  async getUserActivity(userId) {
+    try {
+      return await this.get(
+        `SELECT 
+           COUNT(*) as message_count, 
+           MIN(created_at) as first_interaction, 
+           MAX(created_at) as last_interaction 
+         FROM conversations 
+         WHERE user_id = ?`,
+        [userId]
+      );
+    } catch (error) {
+      console.error('Error getting user activity:', error);
+      throw error;
+    }
+  }
+
   // Conversation history methods
-  async saveConversation(userId, message, response, modelUsed) {
+  // chatId is only set for group chats; private history keeps chat_id NULL and uses threadId
+  async saveConversation(userId, message, response, modelUsed, extra = {}) {
+    const {
+      media = null,
+      chatId = null,
+      speakerName = null,
+      threadId = null,
+      tokenCount = null,
+      usage = null,
+      systemPrompt = null,
+      quote = null
+    } = extra;
+
     try {
-      await this.run(
-        `INSERT INTO conversations (user_id, message, response, model_used) 
-         VALUES (?, ?, ?, ?)`,
-        [userId, message, response, modelUsed]
+      const result = await this.run(
+        `INSERT INTO conversations (
+           user_id, message, response, model_used, media_type, media_file_id, chat_id, speaker_name, thread_id,
+           token_count, prompt_tokens, completion_tokens, system_prompt, quote
+         ) 
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+          userId, message, response, modelUsed, media?.type || null, media?.fileId || null, chatId, speakerName, threadId,
+          tokenCount, usage?.promptTokens ?? null, usage?.completionTokens ?? null, systemPrompt, quote
+        ]
       );
+      return result.lastID;
     } catch (error) {
       console.error('Error saving conversation:', error);
       throw error;
@@ -164,10 +490,10 @@ class DatabaseService {
   async getUserConversations(userId, limit = 20) {
     try {
       const conversations = await this.all(
-        `SELECT message, response, created_at, model_used 
+        `SELECT id, message, response, created_at, model_used, media_type, media_file_id, speaker_name, token_count, quote 
          FROM conversations 
-         WHERE user_id = ? 
-         ORDER BY created_at DESC 
+         WHERE user_id = ? AND chat_id IS NULL 
+         ORDER BY created_at DESC, id DESC 
          LIMIT ?`,
         [userId, limit]
       );
@@ -178,10 +504,232 @@ class DatabaseService {
     }
   }
 
+  async getChatConversations(chatId, limit = 20) {
+    try {
+      const conversations = await this.all(
+        `SELECT id, message, response, created_at, model_used, media_type, media_file_id, speaker_name, token_count, quote 
+         FROM conversations 
+         WHERE chat_id = ? 
+         ORDER BY created_at DESC, id DESC 
+         LIMIT ?`,
+        [chatId, limit]
+      );
+      return conversations.reverse(); // Return in chronological order
+    } catch (error) {
+      console.error('Error getting chat conversations:', error);
+      throw error;
+    }
+  }
+
+  async getThreadConversations(threadId, limit = 20) {
+    try {
+      const conversations = await this.all(
+        `SELECT id, message, response, created_at, model_used, media_type, media_file_id, speaker_name, token_count, quote 
+         FROM conversations 
+         WHERE thread_id = ? 
+         ORDER BY created_at DESC, id DESC 
+         LIMIT ?`,
+        [threadId, limit]
+      );
+      return conversations.reverse(); // Return in chronological order
+    } catch (error) {
+      console.error('Error getting thread conversations:', error);
+      throw error;
+    }
+  }
+
+  // Turns of a thread or group chat after afterId and before beforeId, oldest first
+  async getConversationsBetween({ chatId = null, threadId = null }, afterId, beforeId, limit) {
+    try {
+      return await this.all(
+        `SELECT id, message, response, created_at, model_used, media_type, media_file_id, speaker_name, token_count, quote 
+         FROM conversations 
+         WHERE ${chatId ? 'chat_id' : 'thread_id'} = ? AND id > ? AND id < ? 
+         ORDER BY id ASC 
+         LIMIT ?`,
+        [chatId || threadId, afterId, beforeId, limit]
+      );
+    } catch (error) {
+      console.error('Error getting conversations between ids:', error);
+      throw error;
+    }
+  }
+
+  async getConversation(conversationId) {
+    try {
+      return await this.get(
+        `SELECT id, user_id, chat_id, thread_id, message, response, model_used, created_at
+         FROM conversations
+         WHERE id = ?`,
+        [conversationId]
+      );
+    } catch (error) {
+      console.error('Error getting conversation:', error);
+      throw error;
+    }
+  }
+
+  // Replace a turn's prompt and answer; token usage accumulates so regenerations still count towards quotas
+  async updateConversation(conversationId, { message, response, modelUsed, tokenCount = null, usage = null, systemPrompt = null, quote = null }) {
+    try {
+      await this.run(
+        `UPDATE conversations 
+         SET message = ?, response = ?, model_used = ?, token_count = ?, system_prompt = ?, quote = ?, 
+             prompt_tokens = COALESCE(prompt_tokens, 0) + ?, 
+             completion_tokens = COALESCE(completion_tokens, 0) + ?, 
+             regeneration_count = COALESCE(regeneration_count, 0) + 1 
+         WHERE id = ?`,
+        [message, response, modelUsed, tokenCount, systemPrompt, quote, usage?.promptTokens || 0, usage?.completionTokens || 0, conversationId]
+      );
+
+      // Ratings belonged to the replaced answer
+      await this.run('DELETE FROM feedback WHERE conversation_id = ?', [conversationId]);
+    } catch (error) {
+      console.error('Error updating conversation:', error);
+      throw error;
+    }
+  }
+
+  // Feedback methods
+  async saveFeedback(conversationId, userId, rating) {
+    try {
+      await this.run(
+        `INSERT INTO feedback (conversation_id, user_id, rating) 
+         VALUES (?, ?, ?) 
+         ON CONFLICT(conversation_id, user_id) DO UPDATE SET 
+           rating = excluded.rating, 
+           updated_at = CURRENT_TIMESTAMP`,
+        [conversationId, userId, rating]
+      );
+    } catch (error) {
+      console.error('Error saving feedback:', error);
+      throw error;
+    }
+  }
+
+  async saveFeedbackComment(conversationId, userId, comment) {
+    try {
+      await this.run(
+        `UPDATE feedback SET comment = ?, updated_at = CURRENT_TIMESTAMP 
+         WHERE conversation_id = ? AND user_id = ?`,
+        [comment, conversationId, userId]
+      );
+    } catch (error) {
+      console.error('Error saving feedback comment:', error);
+      throw error;
+    }
+  }
+
+  async getFeedback(conversationId, userId) {
+    try {
+      return await this.get(
+        'SELECT * FROM feedback WHERE conversation_id = ? AND user_id = ?',
+        [conversationId, userId]
+      );
+    } catch (error) {
+      console.error('Error getting feedback:', error);
+      throw error;
+    }
+  }
+
+  // Message link methods; role is 'prompt' or 'reply'
+  async saveMessageLinks(chatId, conversationId, links) {
+    try {
+      for (const { messageId, role } of links) {
+        await this.run(
+          `INSERT OR REPLACE INTO message_links (chat_id, message_id, conversation_id, role) 
+           VALUES (?, ?, ?, ?)`,
+          [chatId, messageId, conversationId, role]
+        );
+      }
+    } catch (error) {
+      console.error('Error saving message links:', error);
+      throw error;
+    }
+  }
+
+  async getLinkedConversation(chatId, messageId) {
+    try {
+      return await this.get(
+        `SELECT l.role, c.id, c.user_id, c.chat_id, c.message, c.response, c.speaker_name, c.media_type 
+         FROM message_links l 
+         JOIN conversations c ON c.id = l.conversation_id 
+         WHERE l.chat_id = ? AND l.message_id = ?`,
+        [chatId, messageId]
+      );
+    } catch (error) {
+      console.error('Error getting linked conversation:', error);
+      throw error;
+    }
+  }
+
+  // Rating counts of the last `days` days by model, by system prompt (null = default) and by week
+  async getFeedbackStats(days) {
+    const since = `-${days} days`;
+    const counts = `COUNT(*) as total, 
+           COALESCE(SUM(CASE WHEN f.rating > 0 THEN 1 ELSE 0 END), 0) as positive, 
+           COALESCE(SUM(CASE WHEN f.rating < 0 THEN 1 ELSE 0 END), 0) as negative, 
+           COALESCE(SUM(CASE WHEN f.comment IS NOT NULL THEN 1 ELSE 0 END), 0) as comments`;
+    const from = `FROM feedback f 
+         JOIN conversations c ON c.id = f.conversation_id 
+         WHERE f.updated_at >= datetime('now', ?)`;
+
+    try {
+      const total = await this.get(`SELECT ${counts} ${from}`, [since]);
+      const byModel = await this.all(
+        `SELECT c.model_used as model, ${counts} ${from} GROUP BY c.model_used ORDER BY total DESC`,
+        [since]
+      );
+      const byPrompt = await this.all(
+        `SELECT c.system_prompt as system_prompt, ${counts} ${from} GROUP BY c.system_prompt ORDER BY total DESC`,
+        [since]
+      );
+      // Weeks start on Monday
+      const byWeek = await this.all(
+        `SELECT DATE(f.updated_at, '-6 days', 'weekday 1') as week, ${counts} ${from} GROUP BY week ORDER BY week`,
+        [since]
+      );
+
+      return { total, byModel, byPrompt, byWeek };
+    } catch (error) {
+      console.error('Error getting feedback stats:', error);
+      throw error;
+    }
+  }
+
+  async getNegativeFeedback(days) {
+    try {
+      return await this.all(
+        `SELECT c.id as conversation_id, c.message, c.response, c.model_used, c.system_prompt, c.media_type, 
+                c.chat_id, c.regeneration_count, c.created_at, f.rating, f.comment, f.updated_at as rated_at 
+         FROM feedback f 
+         JOIN conversations c ON c.id = f.conversation_id 
+         WHERE f.rating < 0 AND f.updated_at >= datetime('now', ?) 
+         ORDER BY f.updated_at, f.id`,
+        [`-${days} days`]
+      );
+    } catch (error) {
+      console.error('Error getting negative feedback:', error);
+      throw error;
+    }
+  }
+
+  async clearThreadHistory(threadId) {
+    try {
+      await this.run(
+        'DELETE FROM conversations WHERE thread_id = ?',
+        [threadId]
+      );
+    } catch (error) {
+      console.error('Error clearing thread history:', error);
+      throw error;
+    }
+  }
+
   async clearUserHistory(userId) {
     try {
       await this.run(
-        'DELETE FROM conversations WHERE user_id = ?',
+        'DELETE FROM conversations WHERE user_id = ? AND chat_id IS NULL',
         [userId]
       );
     } catch (error) {
@@ -190,6 +738,18 @@ class DatabaseService {
     }
   }
 
+  async clearChatHistory(chatId) {
+    try {
+      await this.run(
+        'DELETE FROM conversations WHERE chat_id = ?',
+        [chatId]
+      );
+    } catch (error) {
+      console.error('Error clearing chat history:', error);
+      throw error;
+    }
+  }
+
   // User settings methods
   async getUserSettings(userId) {
     try {
@@ -223,6 +783,16 @@ class DatabaseService {
           updateFields.push('max_context_messages = ?');
           updateValues.push(settings.max_context_messages);
         }
+        if (settings.language !== undefined) {
+          updateFields.push('language = ?');
+          updateValues.push(settings.language);
+        }
+        for (const column of ['creativity', 'response_length', 'safety_level']) {
+          if (settings[column] !== undefined) {
+            updateFields.push(`${column} = ?`);
+            updateValues.push(settings[column]);
+          }
+        }
         
         if (updateFields.length > 0) {
           updateFields.push('updated_at = CURRENT_TIMESTAMP');
@@ -235,9 +805,15 @@ class DatabaseService {
         }
       } else {
         await this.run(
-          `INSERT INTO user_settings (user_id, system_prompt, preferred_model, max_context_messages) 
-           VALUES (?, ?, ?, ?)`,
-          [userId, settings.system_prompt, settings.preferred_model, settings.max_context_messages]
+          `INSERT INTO user_settings (
+             user_id, system_prompt, preferred_model, max_context_messages, language,
+             creativity, response_length, safety_level
+           ) 
+           VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+          [
+            userId, settings.system_prompt, settings.preferred_model, settings.max_context_messages, settings.language,
+            settings.creativity, settings.response_length, settings.safety_level
+          ]
         );
       }
     } catch (error) {
@@ -246,18 +822,562 @@ class DatabaseService {
     }
   }
 
-  async getStats() {
+  // Summary methods
+  async getSummary(scopeKey) {
     try {
-      const userCount = await this.get('SELECT COUNT(*) as count FROM users');
-      const messageCount = await this.get('SELECT COUNT(*) as count FROM conversations');
-      const todayMessages = await this.get(
-        'SELECT COUNT(*) as count FROM conversations WHERE DATE(created_at) = DATE("now")'
+      return await this.get(
+        'SELECT * FROM summaries WHERE scope_key = ?',
+        [scopeKey]
+      );
+    } catch (error) {
+      console.error('Error getting summary:', error);
+      throw error;
+    }
+  }
+
+  async saveSummary(scopeKey, content, lastConversationId, tokenCount) {
+    try {
+      await this.run(
+        `INSERT INTO summaries (scope_key, content, last_conversation_id, token_count) 
+         VALUES (?, ?, ?, ?) 
+         ON CONFLICT(scope_key) DO UPDATE SET 
+           content = excluded.content, 
+           last_conversation_id = excluded.last_conversation_id, 
+           token_count = excluded.token_count, 
+           updated_at = CURRENT_TIMESTAMP`,
+        [scopeKey, content, lastConversationId, tokenCount]
+      );
+    } catch (error) {
+      console.error('Error saving summary:', error);
+      throw error;
+    }
+  }
+
+  async deleteSummary(scopeKey) {
+    try {
+      await this.run('DELETE FROM summaries WHERE scope_key = ?', [scopeKey]);
+    } catch (error) {
+      console.error('Error deleting summary:', error);
+      throw error;
+    }
+  }
+
+  // Thread methods
+  async createThread(userId, title = null) {
+    try {
+      // A new thread becomes the active one
+      await this.run('UPDATE threads SET is_active = 0 WHERE user_id = ?', [userId]);
+
+      const result = await this.run(
+        'INSERT INTO threads (user_id, title, is_active) VALUES (?, ?, 1)',
+        [userId, title]
+      );
+      return result.lastID;
+    } catch (error) {
+      console.error('Error creating thread:', error);
+      throw error;
+    }
+  }
+
+  async getThread(userId, threadId) {
+    try {
+      return await this.get(
+        'SELECT * FROM threads WHERE user_id = ? AND id = ?',
+        [userId, threadId]
+      );
+    } catch (error) {
+      console.error('Error getting thread:', error);
+      throw error;
+    }
+  }
+
+  async getActiveThread(userId) {
+    try {
+      return await this.get(
+        'SELECT * FROM threads WHERE user_id = ? AND is_active = 1',
+        [userId]
+      );
+    } catch (error) {
+      console.error('Error getting active thread:', error);
+      throw error;
+    }
+  }
+
+  async getUserThreads(userId) {
+    try {
+      return await this.all(
+        `SELECT t.id, t.title, t.is_active, t.created_at, t.updated_at, COUNT(c.id) as message_count 
+         FROM threads t 
+         LEFT JOIN conversations c ON c.thread_id = t.id 
+         WHERE t.user_id = ? 
+         GROUP BY t.id 
+         ORDER BY t.updated_at DESC, t.id DESC`,
+        [userId]
+      );
+    } catch (error) {
+      console.error('Error getting user threads:', error);
+      throw error;
+    }
+  }
+
+  async setActiveThread(userId, threadId) {
+    try {
+      const thread = await this.getThread(userId, threadId);
+      if (!thread) {
+        return false;
+      }
+
+      await this.run('UPDATE threads SET is_active = 0 WHERE user_id = ?', [userId]);
+      await this.run('UPDATE threads SET is_active = 1 WHERE id = ?', [threadId]);
+      return true;
+    } catch (error) {
+      console.error('Error setting active thread:', error);
+      throw error;
+    }
+  }
+
+  async renameThread(userId, threadId, title) {
+    try {
+      const result = await this.run(
+        'UPDATE threads SET title = ? WHERE user_id = ? AND id = ?',
+        [title, userId, threadId]
+      );
+      return result.changes > 0;
+    } catch (error) {
+      console.error('Error renaming thread:', error);
+      throw error;
+    }
+  }
+
+  async touchThread(threadId) {
+    try {
+      await this.run(
+        'UPDATE threads SET updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+        [threadId]
+      );
+    } catch (error) {
+      console.error('Error updating thread timestamp:', error);
+      throw error;
+    }
+  }
+
+  async deleteThread(userId, threadId) {
+    try {
+      const thread = await this.getThread(userId, threadId);
+      if (!thread) {
+        return false;
+      }
+
+      await this.run('DELETE FROM conversations WHERE thread_id = ?', [threadId]);
+      await this.run('DELETE FROM threads WHERE id = ?', [threadId]);
+      return true;
+    } catch (error) {
+      console.error('Error deleting thread:', error);
+      throw error;
+    }
+  }
+
+  // Move private history saved before threads existed into a thread
+  async assignOrphanConversations(userId, threadId) {
+    try {
+      await this.run(
+        'UPDATE conversations SET thread_id = ? WHERE user_id = ? AND chat_id IS NULL AND thread_id IS NULL',
+        [threadId, userId]
+      );
+    } catch (error) {
+      console.error('Error assigning conversations to thread:', error);
+      throw error;
+    }
+  }
+
+  // Chat (group) settings methods
+  async getChatSettings(chatId) {
+    try {
+      return await this.get(
+        'SELECT * FROM chat_settings WHERE chat_id = ?',
+        [chatId]
+      );
+    } catch (error) {
+      console.error('Error getting chat settings:', error);
+      throw error;
+    }
+  }
+
+  // Only the given fields change; null clears a field back to its default
+  async updateChatSettings(chatId, settings, updatedBy) {
+    try {
+      const columns = ['trigger_policy', 'creativity', 'response_length', 'safety_level']
+        .filter(column => settings[column] !== undefined);
+
+      await this.run(
+        'INSERT INTO chat_settings (chat_id, updated_by) VALUES (?, ?) ON CONFLICT(chat_id) DO NOTHING',
+        [chatId, updatedBy]
+      );
+      await this.run(
+        `UPDATE chat_settings 
+         SET ${columns.map(column => `${column} = ?, `).join('')}updated_by = ?, updated_at = CURRENT_TIMESTAMP 
+         WHERE chat_id = ?`,
+        [...columns.map(column => settings[column]), updatedBy, chatId]
+      );
+    } catch (error) {
+      console.error('Error updating chat settings:', error);
+      throw error;
+    }
+  }
+
+  // Document methods
+  async saveDocument(userId, document) {
+    try {
+      // A newly uploaded document becomes the active one
+      await this.run('UPDATE documents SET is_active = 0 WHERE user_id = ?', [userId]);
+
+      const result = await this.run(
+        `INSERT INTO documents (user_id, file_name, mime_type, file_id, content, is_active) 
+         VALUES (?, ?, ?, ?, ?, 1)`,
+        [userId, document.fileName, document.mimeType, document.fileId, document.content]
+      );
+      return result.lastID;
+    } catch (error) {
+      console.error('Error saving document:', error);
+      throw error;
+    }
+  }
+
+  async getUserDocuments(userId) {
+    try {
+      return await this.all(
+        `SELECT id, file_name, mime_type, is_active, LENGTH(content) as content_length, created_at 
+         FROM documents 
+         WHERE user_id = ? 
+         ORDER BY created_at DESC, id DESC`,
+        [userId]
+      );
+    } catch (error) {
+      console.error('Error getting user documents:', error);
+      throw error;
+    }
+  }
+
+  async getActiveDocument(userId) {
+    try {
+      return await this.get(
+        'SELECT * FROM documents WHERE user_id = ? AND is_active = 1',
+        [userId]
+      );
+    } catch (error) {
+      console.error('Error getting active document:', error);
+      throw error;
+    }
+  }
+
+  async setActiveDocument(userId, documentId) {
+    try {
+      await this.run('UPDATE documents SET is_active = 0 WHERE user_id = ?', [userId]);
+
+      if (documentId === null) {
+        return true;
+      }
+
+      const result = await this.run(
+        'UPDATE documents SET is_active = 1 WHERE user_id = ? AND id = ?',
+        [userId, documentId]
+      );
+      return result.changes > 0;
+    } catch (error) {
+      console.error('Error setting active document:', error);
+      throw error;
+    }
+  }
+
+  async deleteDocument(userId, documentId) {
+    try {
+      const result = await this.run(
+        'DELETE FROM documents WHERE user_id = ? AND id = ?',
+        [userId, documentId]
+      );
+      return result.changes > 0;
+    } catch (error) {
+      console.error('Error deleting document:', error);
+      throw error;
+    }
+  }
+
+  async getUserTokenUsage(userId) {
+    try {
+      const usage = await this.get(
+        `SELECT 
+           COALESCE(SUM(prompt_tokens), 0) as prompt_tokens, 
+           COALESCE(SUM(completion_tokens), 0) as completion_tokens, 
+           COALESCE(SUM(CASE WHEN DATE(created_at) = DATE('now') 
+             THEN prompt_tokens + completion_tokens ELSE 0 END), 0) as today_tokens 
+         FROM usage 
+         WHERE user_id = ?`,
+        [userId]
+      );
+
+      return {
+        promptTokens: usage.prompt_tokens,
+        completionTokens: usage.completion_tokens,
+        totalTokens: usage.prompt_tokens + usage.completion_tokens,
+        todayTokens: usage.today_tokens
+      };
+    } catch (error) {
+      console.error('Error getting user token usage:', error);
+      throw error;
+    }
+  }
+
+  // Usage methods
+  async recordUsage({ userId = null, kind, model = null, promptTokens = 0, completionTokens = 0, success = true, billable = false }) {
+    try {
+      await this.run(
+        `INSERT INTO usage (user_id, kind, model, prompt_tokens, completion_tokens, success, billable) 
+         VALUES (?, ?, ?, ?, ?, ?, ?)`,
+        [userId, kind, model, promptTokens || 0, completionTokens || 0, success ? 1 : 0, billable ? 1 : 0]
+      );
+    } catch (error) {
+      console.error('Error recording usage:', error);
+      throw error;
+    }
+  }
+
+  // Requests are the billable rows (one per answered user request); tokens include every call,
+  // background and failed ones too
+  async getUserUsage(userId) {
+    try {
+      return await this.get(
+        `SELECT 
+           COALESCE(SUM(CASE WHEN DATE(created_at) = DATE('now') THEN billable ELSE 0 END), 0) as daily_requests, 
+           COALESCE(SUM(CASE WHEN DATE(created_at) = DATE('now') 
+             THEN prompt_tokens + completion_tokens ELSE 0 END), 0) as daily_tokens, 
+           COALESCE(SUM(billable), 0) as monthly_requests, 
+           COALESCE(SUM(prompt_tokens + completion_tokens), 0) as monthly_tokens 
+         FROM usage 
+         WHERE user_id = ? AND strftime('%Y-%m', created_at) = strftime('%Y-%m', 'now')`,
+        [userId]
+      );
+    } catch (error) {
+      console.error('Error getting user usage:', error);
+      throw error;
+    }
+  }
+
+  async getGlobalDailyUsage() {
+    try {
+      return await this.get(
+        `SELECT 
+           COALESCE(SUM(billable), 0) as daily_requests, 
+           COALESCE(SUM(prompt_tokens + completion_tokens), 0) as daily_tokens 
+         FROM usage 
+         WHERE DATE(created_at) = DATE('now')`
+      );
+    } catch (error) {
+      console.error('Error getting global usage:', error);
+      throw error;
+    }
+  }
+
+  async getQuotaOverride(userId) {
+    try {
+      return await this.get(
+        'SELECT * FROM quota_overrides WHERE user_id = ?',
+        [userId]
+      );
+    } catch (error) {
+      console.error('Error getting quota override:', error);
+      throw error;
+    }
+  }
+
+  async setQuotaOverride(userId, field, value, grantedBy) {
+    const allowedFields = ['daily_requests', 'daily_tokens', 'monthly_requests', 'monthly_tokens'];
+    if (!allowedFields.includes(field)) {
+      throw new Error(`Invalid quota field: ${field}`);
+    }
+
+    try {
+      await this.run(
+        `INSERT INTO quota_overrides (user_id, ${field}, granted_by) 
+         VALUES (?, ?, ?) 
+         ON CONFLICT(user_id) DO UPDATE SET 
+           ${field} = excluded.${field}, 
+           granted_by = excluded.granted_by, 
+           updated_at = CURRENT_TIMESTAMP`,
+        [userId, value, grantedBy]
+      );
+    } catch (error) {
+      console.error('Error setting quota override:', error);
+      throw error;
+    }
+  }
+
+  async deleteQuotaOverride(userId) {
+    try {
+      await this.run('DELETE FROM quota_overrides WHERE user_id = ?', [userId]);
+    } catch (error) {
+      console.error('Error deleting quota override:', error);
+      throw error;
+    }
+  }
+
+  // Block list methods
+  async saveBlockedUser(telegramId, { reason = null, blockedBy = null, durationSeconds = null } = {}) {
+    try {
+      await this.run(
+        `INSERT INTO blocked_users (telegram_id, reason, blocked_by, expires_at) 
+         VALUES (?, ?, ?, CASE WHEN ? IS NULL THEN NULL ELSE datetime('now', ?) END) 
+         ON CONFLICT(telegram_id) DO UPDATE SET 
+           reason = excluded.reason, 
+           blocked_by = excluded.blocked_by, 
+           expires_at = excluded.expires_at, 
+           created_at = CURRENT_TIMESTAMP`,
+        [telegramId, reason, blockedBy, durationSeconds, `+${durationSeconds} seconds`]
+      );
+      return await this.get('SELECT * FROM blocked_users WHERE telegram_id = ?', [telegramId]);
+    } catch (error) {
+      console.error('Error saving blocked user:', error);
+      throw error;
+    }
+  }
+
+  async deleteBlockedUser(telegramId) {
+    try {
+      const result = await this.run('DELETE FROM blocked_users WHERE telegram_id = ?', [telegramId]);
+      return result.changes > 0;
+    } catch (error) {
+      console.error('Error deleting blocked user:', error);
+      throw error;
+    }
+  }
+
+  // Active blocks only; expired rows are cleaned up on read
+  async getBlockedUsers() {
+    try {
+      await this.run(
+        "DELETE FROM blocked_users WHERE expires_at IS NOT NULL AND expires_at <= datetime('now')"
+      );
+      return await this.all('SELECT * FROM blocked_users ORDER BY created_at DESC');
+    } catch (error) {
+      console.error('Error getting blocked users:', error);
+      throw error;
+    }
+  }
+
+  // Strike methods
+  async getUserStrikes(telegramId) {
+    try {
+      return await this.get('SELECT * FROM user_strikes WHERE telegram_id = ?', [telegramId]);
+    } catch (error) {
+      console.error('Error getting user strikes:', error);
+      throw error;
+    }
+  }
+
+  async saveUserStrikes(telegramId, { strikes, autoBlocks }) {
+    try {
+      await this.run(
+        `INSERT INTO user_strikes (telegram_id, strikes, auto_blocks, last_strike_at) 
+         VALUES (?, ?, ?, CURRENT_TIMESTAMP) 
+         ON CONFLICT(telegram_id) DO UPDATE SET 
+           strikes = excluded.strikes, 
+           auto_blocks = excluded.auto_blocks, 
+           last_strike_at = CURRENT_TIMESTAMP, 
+           updated_at = CURRENT_TIMESTAMP`,
+        [telegramId, strikes, autoBlocks]
+      );
+    } catch (error) {
+      console.error('Error saving user strikes:', error);
+      throw error;
+    }
+  }
+
+  async deleteUserStrikes(telegramId) {
+    try {
+      await this.run('DELETE FROM user_strikes WHERE telegram_id = ?', [telegramId]);
+    } catch (error) {
+      console.error('Error deleting user strikes:', error);
+      throw error;
+    }
+  }
+
+  // Admin methods
+  async getAdminUsers() {
+    try {
+      return await this.all('SELECT * FROM admin_users ORDER BY created_at');
+    } catch (error) {
+      console.error('Error getting admin users:', error);
+      throw error;
+    }
+  }
+
+  async saveAdminUser(telegramId, addedBy) {
+    try {
+      await this.run(
+        'INSERT OR IGNORE INTO admin_users (telegram_id, added_by) VALUES (?, ?)',
+        [telegramId, addedBy]
+      );
+    } catch (error) {
+      console.error('Error saving admin user:', error);
+      throw error;
+    }
+  }
+
+  async deleteAdminUser(telegramId) {
+    try {
+      const result = await this.run('DELETE FROM admin_users WHERE telegram_id = ?', [telegramId]);
+      return result.changes > 0;
+    } catch (error) {
+      console.error('Error deleting admin user:', error);
+      throw error;
+    }
+  }
+
+  // Security audit log methods
+  async saveSecurityEvent(telegramId, eventType, details = {}) {
+    try {
+      await this.run(
+        'INSERT INTO security_events (telegram_id, event_type, details) VALUES (?, ?, ?)',
+        [telegramId, eventType, JSON.stringify(details)]
+      );
+    } catch (error) {
+      console.error('Error saving security event:', error);
+      throw error;
+    }
+  }
+
+  async getSecurityEvents({ telegramId = null, limit = 20 } = {}) {
+    try {
+      const rows = await this.all(
+        `SELECT * FROM security_events 
+         WHERE ? IS NULL OR telegram_id = ? 
+         ORDER BY created_at DESC, id DESC 
+         LIMIT ?`,
+        [telegramId, telegramId, limit]
+      );
+      return rows.map(row => ({ ...row, details: row.details ? JSON.parse(row.details) : {} }));
+    } catch (error) {
+      console.error('Error getting security events:', error);
+      throw error;
+    }
+  }
+
+  async getStats() {
+    try {
+      const userCount = await this.get('SELECT COUNT(*) as count FROM users');
+      const messageCount = await this.get('SELECT COUNT(*) as count FROM conversations');
+      const todayMessages = await this.get(
+        'SELECT COUNT(*) as count FROM conversations WHERE DATE(created_at) = DATE("now")'
+      );
+      const todayTokens = await this.get(
+        `SELECT COALESCE(SUM(prompt_tokens + completion_tokens), 0) as count 
+         FROM usage WHERE DATE(created_at) = DATE('now')`
       );
 
       return {
         users: userCount.count,
         totalMessages: messageCount.count,
-        todayMessages: todayMessages.count
+        todayMessages: todayMessages.count,
+        todayTokens: todayTokens.count
       };
     } catch (error) {
       console.error('Error getting stats:', error);
@@ -0,0 +1,184 @@
+const database = require('./database');
+const geminiService = require('./gemini');
+const i18n = require('./i18n');
+
+class DocumentService {
+  constructor() {
+    this.maxDocumentChars = parseInt(process.env.MAX_DOCUMENT_CHARS) || 100000;
+    // Share of the model's context budget the active document may use; longer documents are sent as excerpts
+    this.contextShare = 0.5;
+    this.chunkChars = 2000;
+  }
+
+  // Extract text from an uploaded file (PDF through Gemini, text formats locally)
+  async extractText(buffer, extension, options = {}) {
+    if (extension === 'pdf') {
+      const result = await geminiService.extractDocumentText({
+        mimeType: 'application/pdf',
+        data: buffer.toString('base64')
+      }, { ...options, maxChars: this.maxDocumentChars });
+
+      if (!result.success) {
+        return { success: false, error: result.text };
+      }
+
+      return { success: true, content: result.text, complete: result.complete };
+    }
+
+    const content = buffer.toString('utf8');
+
+    // NUL bytes mean this is not really a text file
+    if (content.includes('\u0000')) {
+      return { success: false, error: i18n.t(options.locale, 'docs.notText') };
+    }
+
+    return { success: true, content };
+  }
+
+  // Extract, store and activate a document for a user
+  async addDocument(userId, file, buffer, extension, options = {}) {
+    try {
+      const extraction = await this.extractText(buffer, extension, options);
+      if (!extraction.success) {
+        return extraction;
+      }
+
+      let content = extraction.content.trim();
+      if (!content) {
+        return { success: false, error: i18n.t(options.locale, 'docs.noText') };
+      }
+
+      const truncated = content.length > this.maxDocumentChars;
+      if (truncated) {
+        content = content.substring(0, this.maxDocumentChars);
+      }
+
+      // Extraction that stopped before the end of the document (and not because of the length limit)
+      const incomplete = extraction.complete === false && !truncated;
+
+      const documentId = await database.saveDocument(userId, {
+        fileName: file.file_name,
+        mimeType: file.mime_type,
+        fileId: file.file_id,
+        content
+      });
+
+      console.log(`Document ${documentId} (${file.file_name}) saved for user ${userId}`);
+
+      return {
+        success: true,
+        document: {
+          id: documentId,
+          fileName: file.file_name,
+          length: content.length,
+          truncated,
+          incomplete
+        }
+      };
+    } catch (error) {
+      console.error('Error adding document:', error);
+      return { success: false, error: i18n.t(options.locale, 'docs.saveFailed') };
+    }
+  }
+
+  async listDocuments(userId) {
+    try {
+      return await database.getUserDocuments(userId);
+    } catch (error) {
+      console.error('Error listing documents:', error);
+      return [];
+    }
+  }
+
+  async getActiveDocument(userId) {
+    try {
+      return await database.getActiveDocument(userId);
+    } catch (error) {
+      console.error('Error getting active document:', error);
+      return null;
+    }
+  }
+
+  // The active document as sent to the model: whole when it fits its share of the context budget, otherwise
+  // the chunks sharing the most words with the question, in document order. Returns the tokens it uses
+  getDocumentContext(document, question, model = null) {
+    const maxTokens = Math.floor(geminiService.getContextTokenBudget(model || geminiService.defaultModel) * this.contextShare);
+    const tokens = geminiService.estimateTokens(document.content);
+    if (tokens <= maxTokens) {
+      return { document, tokens };
+    }
+
+    const terms = new Set((question.toLowerCase().match(/[\p{L}\p{N}]{3,}/gu) || []));
+    const chunks = this.splitChunks(document.content).map((text, index) => {
+      const words = text.toLowerCase().match(/[\p{L}\p{N}]{3,}/gu) || [];
+      return {
+        index,
+        text,
+        tokens: geminiService.estimateTokens(text),
+        score: words.filter(word => terms.has(word)).length
+      };
+    });
+
+    // Highest score first; ties keep document order so an unmatched question gets the beginning
+    const ranked = [...chunks].sort((a, b) => b.score - a.score || a.index - b.index);
+    const selected = [];
+    let used = 0;
+    for (const chunk of ranked) {
+      if (used + chunk.tokens > maxTokens) {
+        continue;
+      }
+      selected.push(chunk);
+      used += chunk.tokens;
+    }
+
+    const content = selected
+      .sort((a, b) => a.index - b.index)
+      .map(chunk => chunk.text)
+      .join('\n\n[...]\n\n');
+
+    return { document: { ...document, content, partial: true }, tokens: used };
+  }
+
+  // Split text into chunks of about chunkChars, on paragraph boundaries where possible
+  splitChunks(content) {
+    const chunks = [];
+    let current = '';
+
+    for (const paragraph of content.split(/\n\s*\n/)) {
+      for (let start = 0; start < paragraph.length; start += this.chunkChars) {
+        const piece = paragraph.substring(start, start + this.chunkChars);
+        if (current && current.length + piece.length > this.chunkChars) {
+          chunks.push(current);
+          current = '';
+        }
+        current = current ? `${current}\n\n${piece}` : piece;
+      }
+    }
+
+    if (current) {
+      chunks.push(current);
+    }
+    return chunks;
+  }
+
+  // Switch the active document (null to stop using documents)
+  async useDocument(userId, documentId) {
+    try {
+      return await database.setActiveDocument(userId, documentId);
+    } catch (error) {
+      console.error('Error switching document:', error);
+      return false;
+    }
+  }
+
+  async forgetDocument(userId, documentId) {
+    try {
+      return await database.deleteDocument(userId, documentId);
+    } catch (error) {
+      console.error('Error forgetting document:', error);
+      return false;
+    }
+  }
+}
+
+module.exports = new DocumentService();
@@ -0,0 +1,89 @@
+const database = require('./database');
+const store = require('./store');
+
+// Ratings: 1 = 👍, -1 = 👎. Satisfaction is the share of 👍 among rated answers.
+class FeedbackService {
+  constructor() {
+    // Open "tell us more" prompts are kept under feedback_comment:<chatId>:<messageId>
+    this.commentTimeout = 60 * 60 * 1000; // 1 hour
+    this.maxCommentLength = 1000;
+    this.defaultDays = 30;
+    this.maxDays = 365;
+  }
+
+  // Report window in days from an admin argument, falling back to the default
+  parseDays(value) {
+    const days = parseInt(value);
+    return isNaN(days) || days < 1 ? this.defaultDays : Math.min(days, this.maxDays);
+  }
+
+  // Save a rating; returns false when the user had already given the same rating
+  async rate(conversationId, userId, rating) {
+    const existing = await database.getFeedback(conversationId, userId);
+    if (existing?.rating === rating) {
+      return false;
+    }
+
+    await database.saveFeedback(conversationId, userId, rating);
+    return true;
+  }
+
+  // Remember which answer a comment prompt message belongs to
+  async requestComment(chatId, messageId, conversationId, userId) {
+    await store.set(`feedback_comment:${chatId}:${messageId}`, { conversationId, userId }, this.commentTimeout);
+  }
+
+  // Attach a reply to an open comment prompt of the same user; returns false when it is not one
+  async saveComment(chatId, replyToMessageId, userId, comment) {
+    const key = `feedback_comment:${chatId}:${replyToMessageId}`;
+    const request = await store.get(key);
+    if (!request || request.userId !== userId) {
+      return false;
+    }
+
+    await database.saveFeedbackComment(request.conversationId, userId, comment.substring(0, this.maxCommentLength));
+    await store.delete(key);
+    return true;
+  }
+
+  withSatisfaction(row) {
+    return { ...row, satisfaction: row.total > 0 ? row.positive / row.total : 0 };
+  }
+
+  // Satisfaction overall, by model, by system prompt and per week
+  async getReport(days) {
+    const stats = await database.getFeedbackStats(days);
+
+    return {
+      days,
+      total: this.withSatisfaction(stats.total),
+      byModel: stats.byModel.map(row => this.withSatisfaction(row)),
+      byPrompt: stats.byPrompt.map(row => this.withSatisfaction(row)),
+      byWeek: stats.byWeek.map(row => this.withSatisfaction(row))
+    };
+  }
+
+  // Negatively rated exchanges as JSON Lines for prompt tuning; user identities are left out
+  async exportNegative(days) {
+    const rows = await database.getNegativeFeedback(days);
+
+    const lines = rows.map(row => JSON.stringify({
+      conversation_id: row.conversation_id,
+      created_at: row.created_at,
+      rated_at: row.rated_at,
+      model: row.model_used,
+      system_prompt: row.system_prompt,
+      chat_type: row.chat_id ? 'group' : 'private',
+      media_type: row.media_type,
+      regenerations: row.regeneration_count || 0,
+      prompt: row.message,
+      response: row.response,
+      rating: row.rating,
+      comment: row.comment
+    }));
+
+    return { count: rows.length, content: lines.length > 0 ? `${lines.join('\n')}\n` : '' };
+  }
+}
+
+module.exports = new FeedbackService();
@@ -1,4 +1,116 @@
-const { GoogleGenerativeAI } = require('@google/generative-ai');
+const {
+  GoogleGenerativeAI,
+  GoogleGenerativeAIError,
+  GoogleGenerativeAIFetchError,
+  GoogleGenerativeAIResponseError
+} = require('@google/generative-ai');
+const database = require('./database');
+const i18n = require('./i18n');
+
+// Stable error codes returned in result.error
+const ERROR_CODES = {
+  BLOCKED_PROMPT: 'blocked_prompt',
+  BLOCKED_RESPONSE: 'blocked_response',
+  RECITATION: 'recitation',
+  QUOTA: 'quota_exceeded',
+  OVERLOADED: 'model_overloaded',
+  SERVER: 'server_error',
+  NETWORK: 'network_error',
+  TIMEOUT: 'timeout',
+  API_KEY: 'api_key_error',
+  INVALID_REQUEST: 'invalid_request',
+  MODEL_NOT_FOUND: 'model_not_found',
+  EMPTY_RESPONSE: 'empty_response',
+  UNKNOWN: 'unknown_error'
+};
+
+// Transient errors worth retrying on the same model
+const RETRYABLE_ERRORS = new Set([
+  ERROR_CODES.QUOTA,
+  ERROR_CODES.OVERLOADED,
+  ERROR_CODES.SERVER,
+  ERROR_CODES.NETWORK,
+  ERROR_CODES.TIMEOUT
+]);
+
+// Errors that move on to the next model in the fallback chain once retries are used up
+const FALLBACK_ERRORS = new Set([
+  ERROR_CODES.QUOTA,
+  ERROR_CODES.OVERLOADED
+]);
+
+// Message catalog key shown to the user for each error code
+const ERROR_MESSAGES = {
+  [ERROR_CODES.BLOCKED_PROMPT]: 'gemini.blockedPrompt',
+  [ERROR_CODES.BLOCKED_RESPONSE]: 'gemini.blockedResponse',
+  [ERROR_CODES.RECITATION]: 'gemini.recitation',
+  [ERROR_CODES.QUOTA]: 'gemini.quota',
+  [ERROR_CODES.OVERLOADED]: 'gemini.unavailable',
+  [ERROR_CODES.SERVER]: 'gemini.unavailable',
+  [ERROR_CODES.NETWORK]: 'gemini.unavailable',
+  [ERROR_CODES.TIMEOUT]: 'gemini.timeout',
+  [ERROR_CODES.API_KEY]: 'gemini.apiKey'
+};
+
+// Candidate finish reasons that mean the answer was withheld by a content filter
+const BLOCKED_FINISH_REASONS = ['SAFETY', 'BLOCKLIST', 'PROHIBITED_CONTENT', 'SPII'];
+
+// Harm categories configured on every model, mapped to their label under gemini.categories
+const SAFETY_CATEGORIES = {
+  HARM_CATEGORY_HARASSMENT: 'harassment',
+  HARM_CATEGORY_HATE_SPEECH: 'hate_speech',
+  HARM_CATEGORY_SEXUALLY_EXPLICIT: 'sexually_explicit',
+  HARM_CATEGORY_DANGEROUS_CONTENT: 'dangerous_content'
+};
+
+const MAX_RETRY_DELAY = 30000;
+
+// Supported models: the single source for validation, aliases, limits and the /models menu
+const MODELS = [
+  {
+    name: 'gemini-1.5-flash',
+    alias: 'flash',
+    description: 'Fast and efficient model for quick responses',
+    contextBudget: 32000,
+    maxOutputTokens: 8192,
+    maxInputTokens: 1048576
+  },
+  {
+    name: 'gemini-1.5-pro',
+    alias: 'pro',
+    description: 'Advanced model with better reasoning capabilities',
+    contextBudget: 64000,
+    maxOutputTokens: 8192,
+    maxInputTokens: 2097152
+  },
+  {
+    name: 'gemini-1.0-pro',
+    alias: '1.0',
+    description: 'Stable production model',
+    contextBudget: 8000,
+    maxOutputTokens: 2048,
+    maxInputTokens: 30720
+  }
+];
+
+// Generation config used when the caller passes no overrides
+const DEFAULT_GENERATION = {
+  temperature: 0.7,
+  topK: 40,
+  topP: 0.95,
+  maxOutputTokens: 2048,
+  safetyThreshold: 'BLOCK_MEDIUM_AND_ABOVE'
+};
+
+class GeminiError extends Error {
+  constructor(code, message, status = null, details = {}) {
+    super(message);
+    this.name = 'GeminiError';
+    this.code = code;
+    this.status = status;
+    this.details = details;
+  }
+}
 
 class GeminiService {
   constructor() {
@@ -10,138 +122,629 @@ class GeminiService {
       throw new Error('GEMINI_API_KEY is required');
     }
 
+    this.maxRetries = this.parseSetting(process.env.GEMINI_MAX_RETRIES, 2);
+    this.retryDelay = this.parseSetting(process.env.GEMINI_RETRY_DELAY, 500);
+    this.requestTimeout = this.parseSetting(process.env.GEMINI_REQUEST_TIMEOUT, 60000);
+    this.contextTokenBudget = this.parseContextTokenBudget(process.env.CONTEXT_TOKEN_BUDGET);
+    this.maxExtractionParts = 10;
+    this.fallbackModels = (process.env.GEMINI_FALLBACK_MODELS || 'gemini-1.5-pro,gemini-1.5-flash')
+      .split(',')
+      .map(name => name.trim())
+      .filter(name => this.isValidModel(name));
+
+    this.errorCodes = ERROR_CODES;
     this.genAI = new GoogleGenerativeAI(this.apiKey);
     this.modelCache = new Map();
   }
 
-  getModel(modelName = this.defaultModel) {
-    if (!this.modelCache.has(modelName)) {
+  parseSetting(value, fallback) {
+    const parsed = parseInt(value);
+    return isNaN(parsed) || parsed < 0 ? fallback : parsed;
+  }
+
+  // Model instances are cached per model name and full generation config
+  getModel(modelName = this.defaultModel, generation = {}) {
+    const config = { ...DEFAULT_GENERATION, ...generation };
+    config.maxOutputTokens = Math.min(config.maxOutputTokens, this.getMaxOutputTokens(modelName));
+    const cacheKey = `${modelName}:${JSON.stringify(config)}`;
+
+    if (!this.modelCache.has(cacheKey)) {
       try {
         const model = this.genAI.getGenerativeModel({ 
           model: modelName,
           generationConfig: {
-            temperature: 0.7,
-            topK: 40,
-            topP: 0.95,
-            maxOutputTokens: 2048,
+            temperature: config.temperature,
+            topK: config.topK,
+            topP: config.topP,
+            maxOutputTokens: config.maxOutputTokens,
           },
-          safetySettings: [
-            {
-              category: 'HARM_CATEGORY_HARASSMENT',
-              threshold: 'BLOCK_MEDIUM_AND_ABOVE'
-            },
-            {
-              category: 'HARM_CATEGORY_HATE_SPEECH',
-              threshold: 'BLOCK_MEDIUM_AND_ABOVE'
-            },
-            {
-              category: 'HARM_CATEGORY_SEXUALLY_EXPLICIT',
-              threshold: 'BLOCK_MEDIUM_AND_ABOVE'
-            },
-            {
-              category: 'HARM_CATEGORY_DANGEROUS_CONTENT',
-              threshold: 'BLOCK_MEDIUM_AND_ABOVE'
-            }
-          ]
+          safetySettings: Object.keys(SAFETY_CATEGORIES).map(category => ({
+            category,
+            threshold: config.safetyThreshold
+          }))
         });
-        this.modelCache.set(modelName, model);
+        this.modelCache.set(cacheKey, model);
       } catch (error) {
         console.error(`Error creating model ${modelName}:`, error);
         throw new Error(`Failed to initialize model: ${modelName}`);
       }
     }
-    return this.modelCache.get(modelName);
+    return this.modelCache.get(cacheKey);
   }
 
-  formatConversationHistory(conversations, systemPrompt = null) {
-    const prompt = systemPrompt || this.systemPrompt;
-    let context = `${prompt}\n\nPrevious conversation:\n`;
-    
+  // Build structured multi-turn contents with proper user/model roles
+  formatConversationHistory(conversations, message, attachments = []) {
+    const contents = [];
+
     for (const conv of conversations) {
-      context += `User: ${conv.message}\n`;
-      context += `Assistant: ${conv.response}\n\n`;
+      // Past media is not re-sent, only noted so the model knows it was there
+      let userText = conv.media_type ? `[${conv.media_type}] ${conv.message}` : conv.message;
+      if (conv.speaker_name) {
+        userText = `${conv.speaker_name}: ${userText}`;
+      }
+      // The quoted message the turn replied to is resent with it, so follow-ups keep that context
+      if (conv.quote) {
+        userText = `${conv.quote}\n\n${userText}`;
+      }
+      contents.push({ role: 'user', parts: [{ text: userText }] });
+      contents.push({ role: 'model', parts: [{ text: conv.response }] });
     }
-    
-    return context;
+
+    const parts = attachments.map(attachment => ({
+      inlineData: {
+        mimeType: attachment.mimeType,
+        data: attachment.data
+      }
+    }));
+    parts.push({ text: message });
+
+    contents.push({ role: 'user', parts });
+
+    return contents;
   }
 
-  async generateResponse(message, options = {}) {
+  // Wrap the system prompt (plus attached document or group context) as a system instruction
+  buildSystemInstruction(systemPrompt = null, context = {}) {
+    const { document = null, groupTitle = null, summary = null } = context;
+    let prompt = systemPrompt || this.systemPrompt;
+
+    if (groupTitle) {
+      prompt += `\n\nYou are participating in the Telegram group chat "${groupTitle}". ` +
+                `Each user message is prefixed with the speaker's name ("Name: message"). ` +
+                `Address people by name when helpful and do not prefix your own replies with a name.`;
+    }
+
+    if (summary) {
+      prompt += `\n\nSummary of the earlier part of this conversation (older turns are not repeated below):\n${summary}`;
+    }
+
+    if (document) {
+      prompt += `\n\nThe user has attached a document named "${document.file_name}". ` +
+                `When the user refers to "the document" or "the file", they mean this one. ` +
+                (document.partial
+                  ? `It is too long to include in full, so only the passages most relevant to the question are given. ` +
+                    `Answer using them and say so when they do not cover the question:`
+                  : `Answer using its content:`) +
+                `\n\n<document>\n${document.content}\n</document>`;
+    }
+
+    return {
+      role: 'system',
+      parts: [{ text: prompt }]
+    };
+  }
+
+  // Build the generateContent request shared by regular and streaming generation
+  buildRequest(message, options = {}) {
+    const {
+      systemPrompt = null,
+      conversationHistory = [],
+      attachments = [],
+      document = null,
+      groupTitle = null,
+      summary = null
+    } = options;
+
+    return {
+      contents: this.formatConversationHistory(conversationHistory || [], message, attachments),
+      systemInstruction: this.buildSystemInstruction(systemPrompt, { document, groupTitle, summary })
+    };
+  }
+
+  // Rough token estimate for a request's text, used when the API returns no counts
+  estimateRequestTokens(request) {
+    const promptText = request.contents
+      .flatMap(content => content.parts)
+      .map(part => part.text || '')
+      .join('\n');
+    return this.estimateTokens(request.systemInstruction.parts[0].text + promptText);
+  }
+
+  // Drop the oldest turns until the request fits the model's input limit. Turns are trimmed by their
+  // stored token counts first and countTokens runs at most once to confirm. Returns a trimmed copy, so a
+  // fallback model with a larger limit starts again from the full history
+  async fitRequestToBudget(request, modelName, turnTokens = []) {
+    // Nothing to trim for single-turn requests, so skip the extra API call
+    if (request.contents.length <= 1) {
+      return { request, preflightTokens: null };
+    }
+
+    const maxInputTokens = this.getMaxInputTokens(modelName);
+    const latest = request.contents[request.contents.length - 1];
+    let estimate = this.estimateTokens(request.systemInstruction.parts[0].text) +
+                   this.estimateTokens(latest.parts.map(part => part.text || '').join('\n')) +
+                   turnTokens.reduce((sum, tokens) => sum + tokens, 0);
+    let dropped = 0;
+
+    const dropTurns = () => {
+      while (estimate > maxInputTokens && dropped < turnTokens.length) {
+        estimate -= turnTokens[dropped];
+        dropped++;
+      }
+    };
+
+    dropTurns();
+
+    let preflightTokens = null;
     try {
-      const {
-        model = this.defaultModel,
-        systemPrompt = null,
-        conversationHistory = [],
-        userId = null
-      } = options;
-
-      const selectedModel = this.getModel(model);
-      
-      let fullPrompt = message;
-      
-      // Add conversation history if available
-      if (conversationHistory && conversationHistory.length > 0) {
-        const contextPrompt = this.formatConversationHistory(conversationHistory, systemPrompt);
-        fullPrompt = `${contextPrompt}Current message:\nUser: ${message}\nAssistant:`;
-      } else if (systemPrompt || this.systemPrompt) {
-        const prompt = systemPrompt || this.systemPrompt;
-        fullPrompt = `${prompt}\n\nUser: ${message}\nAssistant:`;
+      const trimmed = { ...request, contents: request.contents.slice(dropped * 2) };
+      const { totalTokens } = await this.getModel(modelName).countTokens({ generateContentRequest: trimmed });
+
+      // The estimate was off: drop more turns by their stored counts instead of counting again
+      estimate = totalTokens;
+      dropTurns();
+      preflightTokens = estimate;
+    } catch (error) {
+      console.error('Error counting request tokens:', error);
+    }
+
+    return {
+      request: { ...request, contents: request.contents.slice(dropped * 2) },
+      preflightTokens
+    };
+  }
+
+  // Token usage from the response metadata, estimated if the API did not return it
+  getUsage(response, request, text, preflightTokens = null) {
+    const usage = response?.usageMetadata;
+
+    if (usage) {
+      return {
+        promptTokens: usage.promptTokenCount || 0,
+        completionTokens: usage.candidatesTokenCount || 0,
+        totalTokens: usage.totalTokenCount || 0
+      };
+    }
+
+    const promptTokens = preflightTokens || this.estimateRequestTokens(request);
+    const completionTokens = this.estimateTokens(text);
+    return {
+      promptTokens,
+      completionTokens,
+      totalTokens: promptTokens + completionTokens
+    };
+  }
+
+  // Text of the first candidate; unlike response.text() this does not throw on blocked candidates
+  extractText(response) {
+    const parts = response?.candidates?.[0]?.content?.parts || [];
+    return parts.map(part => part.text || '').join('');
+  }
+
+  // Harm categories Gemini blocked or rated at least MEDIUM
+  getTriggeredCategories(safetyRatings = []) {
+    return safetyRatings
+      .filter(rating => rating.blocked || ['MEDIUM', 'HIGH'].includes(rating.probability))
+      .map(rating => rating.category);
+  }
+
+  // Throw a typed error for blocked prompts and withheld candidates, otherwise return the finish reason
+  checkResponse(response) {
+    const feedback = response?.promptFeedback;
+    if (feedback?.blockReason) {
+      throw new GeminiError(ERROR_CODES.BLOCKED_PROMPT, `Prompt blocked: ${feedback.blockReason}`, null, {
+        reason: feedback.blockReason,
+        categories: this.getTriggeredCategories(feedback.safetyRatings)
+      });
+    }
+
+    const candidate = response?.candidates?.[0];
+    const finishReason = candidate?.finishReason || null;
+
+    if (BLOCKED_FINISH_REASONS.includes(finishReason)) {
+      throw new GeminiError(ERROR_CODES.BLOCKED_RESPONSE, `Response blocked: ${finishReason}`, null, {
+        reason: finishReason,
+        categories: this.getTriggeredCategories(candidate.safetyRatings)
+      });
+    }
+
+    if (finishReason === 'RECITATION') {
+      throw new GeminiError(ERROR_CODES.RECITATION, 'Response stopped for reciting source material', null, {
+        reason: finishReason
+      });
+    }
+
+    return finishReason;
+  }
+
+  // Localized, comma separated labels for triggered harm categories
+  describeSafetyCategories(categories = [], locale = null) {
+    const labels = [...new Set(categories.map(category => SAFETY_CATEGORIES[category] || 'other'))]
+      .map(key => i18n.t(locale, `gemini.categories.${key}`));
+    return labels.length > 0 ? labels.join(', ') : i18n.t(locale, 'gemini.categories.other');
+  }
+
+  // Models to try in order: the requested one, then the models after it in GEMINI_FALLBACK_MODELS
+  getFallbackChain(modelName) {
+    const index = this.fallbackModels.indexOf(modelName);
+    return index === -1 ? [modelName] : this.fallbackModels.slice(index);
+  }
+
+  // Exponential backoff with jitter so concurrent retries do not hit the API in lockstep
+  getRetryDelay(retry) {
+    const delay = Math.min(MAX_RETRY_DELAY, this.retryDelay * 2 ** retry);
+    return delay / 2 + Math.random() * delay / 2;
+  }
+
+  // Reject with a timeout error when the attempt goes quiet: the limit applies until the first chunk
+  // and then between chunks (attempts call state.touch() on progress), so long answers that keep
+  // streaming are not cut off. The SDK cannot cancel in-flight requests, so a timed out attempt
+  // is abandoned and marked via state.timedOut
+  withTimeout(promise, state) {
+    let timer;
+    let rejectTimeout;
+    const timeout = new Promise((resolve, reject) => {
+      rejectTimeout = reject;
+    });
+
+    state.touch = () => {
+      clearTimeout(timer);
+      timer = setTimeout(() => {
+        state.timedOut = true;
+        rejectTimeout(new GeminiError(ERROR_CODES.TIMEOUT, `No response from Gemini for ${this.requestTimeout}ms`));
+      }, this.requestTimeout);
+    };
+    state.touch();
+
+    return Promise.race([promise, timeout]).finally(() => {
+      clearTimeout(timer);
+      state.touch = () => {};
+    });
+  }
+
+  // Map SDK and network errors to a GeminiError with a stable code
+  normalizeError(error) {
+    if (error instanceof GeminiError) {
+      return error;
+    }
+
+    if (error instanceof GoogleGenerativeAIFetchError) {
+      return new GeminiError(this.getStatusErrorCode(error), error.message, error.status);
+    }
+
+    // Thrown by the SDK's response helpers when the prompt or candidate was blocked
+    if (error instanceof GoogleGenerativeAIResponseError) {
+      return new GeminiError(ERROR_CODES.BLOCKED_RESPONSE, error.message);
+    }
+
+    // The SDK wraps failed fetches and broken streams in its base error class
+    if (error instanceof GoogleGenerativeAIError) {
+      return new GeminiError(ERROR_CODES.NETWORK, error.message);
+    }
+
+    return new GeminiError(ERROR_CODES.UNKNOWN, error?.message || String(error));
+  }
+
+  getStatusErrorCode(error) {
+    const status = error.status;
+    const invalidKey = (error.errorDetails || []).some(detail => detail.reason === 'API_KEY_INVALID');
+
+    if (invalidKey || status === 401 || status === 403) {
+      return ERROR_CODES.API_KEY;
+    }
+    if (status === 400) {
+      return ERROR_CODES.INVALID_REQUEST;
+    }
+    if (status === 404) {
+      return ERROR_CODES.MODEL_NOT_FOUND;
+    }
+    if (status === 408) {
+      return ERROR_CODES.TIMEOUT;
+    }
+    if (status === 429) {
+      return ERROR_CODES.QUOTA;
+    }
+    if (status === 503) {
+      return ERROR_CODES.OVERLOADED;
+    }
+    if (status >= 500) {
+      return ERROR_CODES.SERVER;
+    }
+    return ERROR_CODES.UNKNOWN;
+  }
+
+  // One ledger row per Gemini call, tagged with options.usageKind ('chat' unless set); quotas read from this ledger.
+  // Only the successful call that answers a user request is billable (counts as a request): chat answers, or
+  // calls passing options.billable. Retries, fallbacks and background calls only add tokens
+  async recordUsage(options, modelName, usage, success) {
+    const kind = options.usageKind || 'chat';
+
+    try {
+      await database.recordUsage({
+        userId: options.userId || null,
+        kind,
+        model: modelName,
+        promptTokens: usage?.promptTokens,
+        completionTokens: usage?.completionTokens,
+        success,
+        billable: success && (options.billable ?? kind === 'chat')
+      });
+    } catch (error) {
+      console.error('Error recording usage:', error);
+    }
+  }
+
+  // Failed attempts return no usage metadata, so estimate from what was sent and streamed
+  estimateAttemptUsage(state) {
+    return {
+      promptTokens: state.request ? this.estimateRequestTokens(state.request) : 0,
+      completionTokens: this.estimateTokens(state.text || '')
+    };
+  }
+
+  // Run attempt(modelName, state) with retries on transient errors and fallback along the model chain
+  async runWithRetries(options, attempt) {
+    const { model = this.defaultModel, userId = null } = options;
+    const chain = this.getFallbackChain(model);
+    let lastError = null;
+    let lastModel = model;
+
+    for (const modelName of chain) {
+      lastModel = modelName;
+
+      for (let retry = 0; retry <= this.maxRetries; retry++) {
+        const state = { timedOut: false, streamed: false };
+
+        try {
+          const result = await this.withTimeout(attempt(modelName, state), state);
+          await this.recordUsage(options, modelName, result.usage, true);
+          if (modelName !== model) {
+            console.log(`Fell back from ${model} to ${modelName} for user ${userId}`);
+          }
+          return { ...result, model: modelName };
+        } catch (error) {
+          lastError = this.normalizeError(error);
+          await this.recordUsage(options, modelName, this.estimateAttemptUsage(state), false);
+          console.error(`Gemini ${modelName} attempt ${retry + 1} failed for user ${userId} (${lastError.code}):`, lastError.message);
+
+          // Text already shown to the user cannot be taken back, so partial streams are not retried
+          if (state.streamed || !RETRYABLE_ERRORS.has(lastError.code)) {
+            return this.handleGenerationError(lastError, { ...options, model: modelName });
+          }
+
+          if (retry < this.maxRetries) {
+            await new Promise(resolve => setTimeout(resolve, this.getRetryDelay(retry)));
+          }
+        }
+      }
+
+      if (!FALLBACK_ERRORS.has(lastError.code)) {
+        break;
+      }
+    }
+
+    return this.handleGenerationError(lastError, { ...options, model: lastModel });
+  }
+
+  // Stream one attempt, keeping the idle timeout alive per chunk. Partial text only counts as shown
+  // to the user (state.streamed) when there is an onChunk callback
+  async streamAttempt(selectedModel, request, state, onChunk = null) {
+    const result = await selectedModel.generateContentStream(request);
+    let text = '';
+
+    for await (const chunk of result.stream) {
+      // A timed out attempt keeps running in the background; stop touching the reply
+      if (state.timedOut) {
+        return null;
+      }
+      state.touch();
+
+      this.checkResponse(chunk);
+      const chunkText = this.extractText(chunk);
+      if (!chunkText) {
+        continue;
       }
 
+      text += chunkText;
+      state.text = text;
+      if (onChunk) {
+        state.streamed = true;
+        await onChunk(text);
+      }
+    }
+
+    if (!text || text.trim().length === 0) {
+      throw new GeminiError(ERROR_CODES.EMPTY_RESPONSE, 'Empty response from Gemini API');
+    }
+
+    // The aggregated response carries the final finish reason and usage metadata
+    const response = await result.response;
+    const finishReason = this.checkResponse(response);
+    return { text, response, finishReason };
+  }
+
+  // Generate a complete response; it is streamed internally so the idle timeout does not cut off long answers
+  async generateResponse(message, options = {}) {
+    return this.generateResponseStream(message, { ...options, onChunk: null });
+  }
+
+  // Stream a response, calling onChunk with the accumulated text as chunks arrive
+  async generateResponseStream(message, options = {}) {
+    const { userId = null, onChunk = null } = options;
+    const request = this.buildRequest(message, options);
+    const turnTokens = (options.conversationHistory || []).map(conv => this.getTurnTokens(conv));
+    // Trimmed once per model and reused by its retries
+    const fittedRequests = new Map();
+
+    return this.runWithRetries(options, async (model, state) => {
+      const selectedModel = this.getModel(model, options.generation);
+      if (!fittedRequests.has(model)) {
+        fittedRequests.set(model, await this.fitRequestToBudget(request, model, turnTokens));
+      }
+      const { request: fittedRequest, preflightTokens } = fittedRequests.get(model);
+      state.request = fittedRequest;
+
       console.log(`Generating response for user ${userId} using model ${model}`);
-      
-      const result = await selectedModel.generateContent(fullPrompt);
-      const response = result.response;
-      const text = response.text();
 
-      if (!text || text.trim().length === 0) {
-        throw new Error('Empty response from Gemini API');
+      const streamed = await this.streamAttempt(selectedModel, fittedRequest, state, onChunk);
+      if (!streamed) {
+        return null;
       }
 
+      const usage = this.getUsage(streamed.response, fittedRequest, streamed.text, preflightTokens);
+
       return {
-        text: text.trim(),
-        model: model,
-        tokensUsed: this.estimateTokens(fullPrompt + text),
+        text: streamed.text.trim(),
+        finishReason: streamed.finishReason,
+        truncated: streamed.finishReason === 'MAX_TOKENS',
+        tokensUsed: usage.totalTokens,
+        usage,
         success: true
       };
+    });
+  }
 
-    } catch (error) {
-      console.error('Error generating response:', error);
-      
-      // Handle specific Gemini API errors
-      if (error.message.includes('safety')) {
-        return {
-          text: 'Maaf, saya tidak dapat merespon pesan tersebut karena melanggar kebijakan keamanan.',
-          model: options.model || this.defaultModel,
-          error: 'safety_violation',
-          success: false
-        };
+  // Transcribe an audio clip so it can be stored and answered as a text message
+  async transcribeAudio(attachment, options = {}) {
+    return this.generateResponse(
+      'Transcribe this audio verbatim in its original language. Output only the transcript.',
+      {
+        ...options,
+        usageKind: 'transcription',
+        systemPrompt: 'You are a speech-to-text engine. Never answer or comment on the audio, only transcribe it.',
+        conversationHistory: [],
+        attachments: [attachment]
       }
-      
-      if (error.message.includes('quota') || error.message.includes('limit')) {
-        return {
-          text: 'Maaf, layanan sedang mengalami pembatasan. Silakan coba lagi nanti.',
-          model: options.model || this.defaultModel,
-          error: 'quota_exceeded',
-          success: false
-        };
+    );
+  }
+
+  // Extract the text of a PDF (or other binary document) sent as inline data. Each call asks for the model's
+  // full output limit and the next one continues after the last passage while the output is cut off.
+  // result.complete is false when the text was still cut off after maxExtractionParts calls or options.maxChars
+  async extractDocumentText(attachment, options = {}) {
+    const { maxChars = Infinity } = options;
+    const generation = { temperature: 0, maxOutputTokens: this.getMaxOutputTokens(options.model || this.defaultModel) };
+    const parts = [];
+    let length = 0;
+    let result = null;
+
+    for (let i = 0; i < this.maxExtractionParts && length < maxChars; i++) {
+      const previous = parts[parts.length - 1];
+      const prompt = previous
+        ? 'Continue extracting the text of this document. The text extracted so far ends with:\n\n' +
+          `<excerpt>\n${previous.slice(-500)}\n</excerpt>\n\n` +
+          'Output only the text that follows this excerpt, starting right after it, in the same format.'
+        : 'Extract the full text content of this document. Preserve headings, lists and tables as plain text or Markdown. Output only the extracted text.';
+
+      result = await this.generateResponse(prompt, {
+        ...options,
+        generation,
+        usageKind: 'document',
+        // The upload counts as one request, continuations only add tokens
+        billable: parts.length === 0,
+        systemPrompt: 'You are a document text extraction engine. Never summarize or comment, only extract text.',
+        conversationHistory: [],
+        attachments: [attachment]
+      });
+
+      // A failed continuation keeps what was extracted, flagged as incomplete
+      if (!result.success) {
+        return parts.length > 0 ? { success: true, text: parts.join('\n'), complete: false } : result;
       }
 
-      if (error.message.includes('API key')) {
-        return {
-          text: 'Terjadi kesalahan konfigurasi. Silakan hubungi administrator.',
-          model: options.model || this.defaultModel,
-          error: 'api_key_error',
-          success: false
-        };
+      parts.push(result.text);
+      length += result.text.length;
+
+      if (!result.truncated) {
+        return { success: true, text: parts.join('\n'), complete: true };
       }
+    }
 
-      return {
-        text: 'Maaf, terjadi kesalahan saat memproses pesan Anda. Silakan coba lagi.',
-        model: options.model || this.defaultModel,
-        error: 'unknown_error',
-        success: false
-      };
+    return { success: true, text: parts.join('\n'), complete: false };
+  }
+
+  // Generate a short title for a conversation thread, or null on failure
+  async generateTitle(userMessage, aiResponse, options = {}) {
+    const result = await this.generateResponse(
+      'Write a short title (at most 6 words, in the same language as the conversation, no quotes or punctuation at the end) ' +
+      `for this conversation:\n\nUser: ${userMessage.substring(0, 500)}\n\nAssistant: ${aiResponse.substring(0, 500)}`,
+      {
+        ...options,
+        usageKind: 'title',
+        systemPrompt: 'You write concise titles for chat conversations. Output only the title.',
+        conversationHistory: []
+      }
+    );
+
+    if (!result.success) {
+      return null;
     }
+
+    return result.text.replace(/^["'*#\s]+|["'*.\s]+$/g, '').substring(0, 64) || null;
+  }
+
+  // Compress older turns (plus any previous summary) into a running summary
+  async summarizeConversation(previousSummary, conversations, options = {}) {
+    const transcript = conversations.map(conv => {
+      const speaker = conv.speaker_name || 'User';
+      return `${speaker}: ${conv.message}\nAssistant: ${conv.response}`;
+    }).join('\n\n');
+
+    let message = 'Update the running summary of this conversation so it captures the facts, decisions, ' +
+                  'open questions and user preferences needed to continue it. Keep it under 300 words and ' +
+                  'write it in the language of the conversation.\n\n';
+    if (previousSummary) {
+      message += `Current summary:\n${previousSummary}\n\n`;
+    }
+    message += `New turns to fold in:\n${transcript}`;
+
+    return this.generateResponse(message, {
+      ...options,
+      usageKind: 'summary',
+      systemPrompt: 'You maintain concise running summaries of chat conversations. Output only the summary.',
+      conversationHistory: []
+    });
+  }
+
+  // Count tokens with the model's tokenizer, falling back to an estimate
+  async countTokens(texts, modelName = this.defaultModel) {
+    const text = texts.filter(Boolean).join('\n');
+
+    try {
+      const result = await this.getModel(modelName).countTokens(text);
+      return result.totalTokens;
+    } catch (error) {
+      console.error('Error counting tokens:', error);
+      return this.estimateTokens(text);
+    }
+  }
+
+  // Map a GeminiError to a user-facing result in the caller's locale (options.locale)
+  handleGenerationError(error, options = {}) {
+    console.error(`Error generating response (${error.code}):`, error.message);
+
+    const { reason = null, categories = [] } = error.details || {};
+    return {
+      text: i18n.t(options.locale, ERROR_MESSAGES[error.code] || 'gemini.unknown', {
+        categories: this.describeSafetyCategories(categories, options.locale)
+      }),
+      model: options.model || this.defaultModel,
+      error: error.code,
+      status: error.status,
+      reason,
+      categories,
+      success: false
+    };
   }
 
   // Simple token estimation (rough approximation)
@@ -149,41 +752,77 @@ class GeminiService {
     return Math.ceil(text.length / 4);
   }
 
+  // Stored size of a history turn, estimated for turns saved without one
+  getTurnTokens(conv) {
+    return conv.token_count || this.estimateTokens(`${conv.message}\n${conv.response}`);
+  }
+
+  getModelInfo(modelName) {
+    return MODELS.find(model => model.name === modelName) || null;
+  }
+
   // Validate model name
   isValidModel(modelName) {
-    const validModels = [
-      'gemini-1.5-flash',
-      'gemini-1.5-pro',
-      'gemini-1.0-pro',
-      'gemini-pro'
-    ];
-    return validModels.includes(modelName);
+    return !!this.getModelInfo(modelName);
+  }
+
+  // Resolve short aliases (e.g. "flash", "pro") to full model names
+  resolveModelName(input) {
+    if (!input) {
+      return null;
+    }
+
+    const name = input.trim().toLowerCase();
+    const model = MODELS.find(candidate => candidate.alias === name || candidate.name === name);
+    return model ? model.name : null;
+  }
+
+  // Soft token budget for conversation context sent with each request
+  getContextTokenBudget(modelName = this.defaultModel) {
+    return this.contextTokenBudget || this.getModelInfo(modelName)?.contextBudget || 8000;
+  }
+
+  // CONTEXT_TOKEN_BUDGET override; a typo like "8k" would break every budget comparison, so anything
+  // that is not a positive whole number is ignored in favour of the model's own budget
+  parseContextTokenBudget(value) {
+    if (!value) {
+      return null;
+    }
+
+    const parsed = /^\d+$/.test(value.trim()) ? parseInt(value, 10) : NaN;
+    if (!Number.isFinite(parsed) || parsed <= 0) {
+      console.warn(`Ignoring invalid CONTEXT_TOKEN_BUDGET "${value}", using the model's default budget`);
+      return null;
+    }
+    return parsed;
+  }
+
+  // Largest maxOutputTokens each model accepts
+  getMaxOutputTokens(modelName = this.defaultModel) {
+    return this.getModelInfo(modelName)?.maxOutputTokens || 2048;
+  }
+
+  // Hard input token limit of each model
+  getMaxInputTokens(modelName = this.defaultModel) {
+    return this.getModelInfo(modelName)?.maxInputTokens || 30720;
   }
 
   // Get available models
   getAvailableModels() {
-    return [
-      {
-        name: 'gemini-1.5-flash',
-        description: 'Fast and efficient model for quick responses'
-      },
-      {
-        name: 'gemini-1.5-pro',
-        description: 'Advanced model with better reasoning capabilities'
-      },
-      {
-        name: 'gemini-1.0-pro',
-        description: 'Stable production model'
-      }
-    ];
+    return MODELS.map(({ name, description }) => ({ name, description }));
   }
 
-  // Health check for the service
-  async healthCheck() {
+  // Health check for the service; options.userId charges the call to the user who asked (/ping)
+  async healthCheck(options = {}) {
     try {
       const testModel = this.getModel(this.defaultModel);
       const result = await testModel.generateContent('Hello');
       const response = result.response.text();
+      const usage = result.response.usageMetadata;
+      await this.recordUsage({ ...options, usageKind: 'health' }, this.defaultModel, {
+        promptTokens: usage?.promptTokenCount,
+        completionTokens: usage?.candidatesTokenCount
+      }, true);
       
       return {
         status: 'healthy',
@@ -0,0 +1,112 @@
+const catalogs = {
+  id: require('../locales/id'),
+  en: require('../locales/en')
+};
+
+// Intl locale used for number and date formatting per catalog
+const INTL_LOCALES = {
+  id: 'id-ID',
+  en: 'en-US'
+};
+
+class I18nService {
+  constructor() {
+    const configured = (process.env.DEFAULT_LANGUAGE || 'id').toLowerCase();
+    this.defaultLocale = this.isSupported(configured) ? configured : 'id';
+  }
+
+  getSupportedLocales() {
+    return Object.keys(catalogs);
+  }
+
+  isSupported(locale) {
+    return Object.prototype.hasOwnProperty.call(catalogs, locale);
+  }
+
+  // Telegram language codes look like "en" or "pt-br"; languages without a catalog get English
+  detectLocale(languageCode) {
+    if (!languageCode) {
+      return this.defaultLocale;
+    }
+
+    const language = languageCode.split('-')[0].toLowerCase();
+    return this.isSupported(language) ? language : 'en';
+  }
+
+  // A language chosen with /language wins over the Telegram client language
+  resolveLocale(settings, languageCode) {
+    const language = settings?.language;
+    return language && this.isSupported(language) ? language : this.detectLocale(languageCode);
+  }
+
+  normalize(locale) {
+    return locale && this.isSupported(locale) ? locale : this.defaultLocale;
+  }
+
+  lookup(locale, key) {
+    return key.split('.').reduce((node, part) => (node == null ? undefined : node[part]), catalogs[locale]);
+  }
+
+  // Translate a dotted key, falling back to the default catalog and then to the key itself
+  t(locale, key, params = {}) {
+    const normalized = this.normalize(locale);
+    let entry = this.lookup(normalized, key);
+    if (entry === undefined) {
+      entry = this.lookup(this.defaultLocale, key);
+    }
+
+    // Plural entries are objects keyed by Intl.PluralRules category
+    if (entry && typeof entry === 'object' && typeof params.count === 'number') {
+      const category = new Intl.PluralRules(INTL_LOCALES[normalized]).select(params.count);
+      entry = entry[category] || entry.other;
+    }
+
+    if (typeof entry !== 'string') {
+      return key;
+    }
+
+    return entry.replace(/\{(\w+)\}/g, (match, name) => (params[name] === undefined ? match : String(params[name])));
+  }
+
+  // Pick the right language from config values that are either a string or { id, en, ... }
+  localize(value, locale) {
+    if (!value || typeof value === 'string') {
+      return value;
+    }
+
+    return value[this.normalize(locale)] || value[this.defaultLocale] || Object.values(value)[0] || null;
+  }
+
+  formatNumber(locale, value) {
+    return (value || 0).toLocaleString(INTL_LOCALES[this.normalize(locale)]);
+  }
+
+  formatDate(locale, value) {
+    return new Date(value).toLocaleDateString(INTL_LOCALES[this.normalize(locale)], {
+      year: 'numeric',
+      month: 'short',
+      day: 'numeric',
+      timeZone: 'UTC'
+    });
+  }
+
+  // Timestamps are shown in UTC, the zone the bot stores and resets quotas in
+  formatDateTime(locale, value) {
+    return new Date(value).toLocaleString(INTL_LOCALES[this.normalize(locale)], {
+      year: 'numeric',
+      month: 'short',
+      day: 'numeric',
+      hour: '2-digit',
+      minute: '2-digit',
+      timeZone: 'UTC',
+      timeZoneName: 'short'
+    });
+  }
+
+  // SQLite datetimes are UTC without a zone suffix
+  parseTimestamp(value) {
+    return new Date(`${String(value).replace(' ', 'T')}Z`).getTime();
+  }
+}
+
+module.exports = new I18nService();
@@ -0,0 +1,235 @@
+const fs = require('fs');
+const path = require('path');
+
+// Most severe action wins when several rules match
+const ACTION_PRIORITY = ['allow', 'log', 'warn', 'classify', 'reject'];
+
+class ModerationService {
+  constructor() {
+    this.rulesPath = path.resolve(
+      process.env.MODERATION_RULES_PATH || path.join(__dirname, '../config/moderation-rules.json')
+    );
+    this.spamConfig = null;
+    this.classifierConfig = { policies: {}, blockedAction: 'log' };
+    this.rules = [];
+    this.loadedAt = null;
+    this.watching = false;
+
+    this.loadRules();
+  }
+
+  // Load and compile the rules file; keeps the previous rules if the file is invalid
+  loadRules() {
+    try {
+      const raw = JSON.parse(fs.readFileSync(this.rulesPath, 'utf8'));
+
+      this.spamConfig = raw.spam || null;
+      this.classifierConfig = this.compileClassifierConfig(raw.classifier || {});
+      this.rules = (raw.rules || []).map(rule => this.compileRule(rule)).filter(Boolean);
+      this.loadedAt = new Date();
+
+      console.log(`Loaded ${this.rules.length} moderation rules from ${this.rulesPath}`);
+      return true;
+    } catch (error) {
+      console.error('Error loading moderation rules:', error.message);
+      return false;
+    }
+  }
+
+  compileRule(rule) {
+    if (!rule.id || !ACTION_PRIORITY.includes(rule.action)) {
+      console.error(`Skipping moderation rule with missing id or invalid action: ${JSON.stringify(rule)}`);
+      return null;
+    }
+
+    // Patterns are either a flat list (all languages) or keyed by language code, "*" for all
+    const patternLists = Array.isArray(rule.patterns) ? { '*': rule.patterns } : (rule.patterns || {});
+    const patterns = {};
+
+    for (const [language, list] of Object.entries(patternLists)) {
+      patterns[language] = list.map(pattern => {
+        try {
+          // Global regexes keep state between test() calls, so the g flag is dropped
+          return new RegExp(pattern, (rule.flags || 'i').replace('g', ''));
+        } catch (error) {
+          console.error(`Invalid pattern in moderation rule ${rule.id}: ${pattern}`);
+          return null;
+        }
+      }).filter(Boolean);
+    }
+
+    // Action used for "classify" rules when no classification is available (classifier off or failing)
+    let fallbackAction = null;
+    if (rule.action === 'classify') {
+      fallbackAction = rule.fallbackAction || 'reject';
+      if (!ACTION_PRIORITY.includes(fallbackAction) || fallbackAction === 'classify') {
+        console.error(`Invalid fallbackAction in moderation rule ${rule.id}, using reject`);
+        fallbackAction = 'reject';
+      }
+    }
+
+    return {
+      id: rule.id,
+      description: rule.description || '',
+      action: rule.action,
+      fallbackAction,
+      category: rule.category || rule.id,
+      message: rule.message || null,
+      patterns
+    };
+  }
+
+  // Per-category policies for the LLM classifier stage
+  compileClassifierConfig(config) {
+    const policies = {};
+
+    for (const [category, policy] of Object.entries(config.policies || {})) {
+      if (!ACTION_PRIORITY.includes(policy.action) || policy.action === 'classify') {
+        console.error(`Skipping classifier policy with invalid action: ${category}`);
+        continue;
+      }
+
+      policies[category] = {
+        threshold: typeof policy.threshold === 'number' ? policy.threshold : 0.8,
+        action: policy.action,
+        message: policy.message || null
+      };
+    }
+
+    return {
+      policies,
+      blockedAction: ACTION_PRIORITY.includes(config.blockedAction) ? config.blockedAction : 'log'
+    };
+  }
+
+  getClassifierCategories() {
+    return Object.keys(this.classifierConfig.policies);
+  }
+
+  // Turn classifier scores into an action: the most severe policy whose threshold is reached
+  decideClassification(result) {
+    if (result.blocked) {
+      return { action: this.classifierConfig.blockedAction, category: 'blocked', confidence: 1, message: null };
+    }
+
+    let decision = { action: 'allow', category: null, confidence: 0, message: null };
+
+    for (const [category, policy] of Object.entries(this.classifierConfig.policies)) {
+      const confidence = result.categories[category] || 0;
+      if (confidence >= policy.threshold &&
+          ACTION_PRIORITY.indexOf(policy.action) > ACTION_PRIORITY.indexOf(decision.action)) {
+        decision = { action: policy.action, category, confidence, message: policy.message };
+      }
+    }
+
+    return decision;
+  }
+
+  // Reload automatically when the rules file changes
+  watch() {
+    if (this.watching) {
+      return;
+    }
+
+    fs.watchFile(this.rulesPath, { interval: 2000 }, (current, previous) => {
+      if (current.mtimeMs !== previous.mtimeMs) {
+        console.log('Moderation rules changed, reloading...');
+        this.loadRules();
+      }
+    });
+    this.watching = true;
+  }
+
+  unwatch() {
+    if (this.watching) {
+      fs.unwatchFile(this.rulesPath);
+      this.watching = false;
+    }
+  }
+
+  // Evaluate a message against the spam heuristics and all rules. Every language list of a rule is checked:
+  // the Telegram app language says nothing about the language a message is written in
+  evaluate(text) {
+    const matches = [];
+
+    if (this.isSpam(text)) {
+      matches.push({ rule: 'spam', action: this.spamConfig.action || 'reject', category: 'spam', pattern: null });
+    }
+
+    for (const rule of this.rules) {
+      const pattern = Object.values(rule.patterns).flat().find(candidate => candidate.test(text));
+      if (pattern) {
+        matches.push({
+          rule: rule.id,
+          action: rule.action,
+          fallbackAction: rule.fallbackAction,
+          category: rule.category,
+          message: rule.message,
+          pattern: pattern.source
+        });
+      }
+    }
+
+    return { action: this.getMostSevereAction(matches), matches };
+  }
+
+  getMostSevereAction(matches) {
+    return matches.reduce(
+      (current, match) => ACTION_PRIORITY.indexOf(match.action) > ACTION_PRIORITY.indexOf(current) ? match.action : current,
+      'allow'
+    );
+  }
+
+  // Verdict without the classifier stage: "classify" matches take their rule's fallbackAction
+  applyFallback(verdict) {
+    const matches = verdict.matches.map(match =>
+      match.action === 'classify' ? { ...match, action: match.fallbackAction || 'reject' } : match
+    );
+    return { action: this.getMostSevereAction(matches), matches };
+  }
+
+  // Spam heuristics with thresholds from the rules file
+  isSpam(text) {
+    const config = this.spamConfig;
+    if (!config || !text) {
+      return false;
+    }
+
+    // Check for repeated characters
+    const repeatedChars = new RegExp(`(.)\\1{${config.maxRepeatedChars},}`).test(text);
+
+    // Check for excessive caps
+    const capsRatio = (text.match(/[A-Z]/g) || []).length / text.length;
+    const excessiveCaps = capsRatio > config.maxCapsRatio && text.length > config.capsMinLength;
+
+    // Check for repeated words
+    const words = text.toLowerCase().split(/\s+/);
+    const uniqueWords = new Set(words);
+    const repeatedWords = words.length > config.uniqueWordsMinWords &&
+                          uniqueWords.size / words.length < config.minUniqueWordRatio;
+
+    // Check for excessive special characters
+    const specialChars = (text.match(/[!@#$%^&*()_+\-=\[\]{};':"\\|,.<>\?~`]/g) || []).length;
+    const excessiveSpecial = specialChars / text.length > config.maxSpecialCharRatio;
+
+    return repeatedChars || excessiveCaps || repeatedWords || excessiveSpecial;
+  }
+
+  getStatus() {
+    return {
+      rulesPath: this.rulesPath,
+      ruleCount: this.rules.length,
+      spamEnabled: !!this.spamConfig,
+      classifierCategories: this.getClassifierCategories(),
+      loadedAt: this.loadedAt,
+      watching: this.watching,
+      rules: this.rules.map(rule => ({
+        id: rule.id,
+        action: rule.action,
+        languages: Object.keys(rule.patterns)
+      }))
+    };
+  }
+}
+
+module.exports = new ModerationService();
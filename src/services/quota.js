@@ -0,0 +1,128 @@
+const database = require('./database');
+
+// A limit of 0 means unlimited; labels live in the message catalog under quota.fields
+const QUOTA_FIELDS = {
+  daily_requests: { period: 'daily', type: 'requests' },
+  daily_tokens: { period: 'daily', type: 'tokens' },
+  monthly_requests: { period: 'monthly', type: 'requests' },
+  monthly_tokens: { period: 'monthly', type: 'tokens' }
+};
+
+class QuotaService {
+  constructor() {
+    this.defaults = {
+      daily_requests: this.parseLimit(process.env.QUOTA_DAILY_REQUESTS, 100),
+      daily_tokens: this.parseLimit(process.env.QUOTA_DAILY_TOKENS, 200000),
+      monthly_requests: this.parseLimit(process.env.QUOTA_MONTHLY_REQUESTS, 2000),
+      monthly_tokens: this.parseLimit(process.env.QUOTA_MONTHLY_TOKENS, 3000000)
+    };
+
+    this.globalLimits = {
+      daily_requests: this.parseLimit(process.env.QUOTA_GLOBAL_DAILY_REQUESTS, 0),
+      daily_tokens: this.parseLimit(process.env.QUOTA_GLOBAL_DAILY_TOKENS, 0)
+    };
+  }
+
+  parseLimit(value, fallback) {
+    const parsed = parseInt(value);
+    return isNaN(parsed) || parsed < 0 ? fallback : parsed;
+  }
+
+  isValidField(field) {
+    return Object.prototype.hasOwnProperty.call(QUOTA_FIELDS, field);
+  }
+
+  getFields() {
+    return Object.keys(QUOTA_FIELDS);
+  }
+
+  // Effective limits for a user: admin overrides win over the defaults
+  async getLimits(userId) {
+    const override = await database.getQuotaOverride(userId);
+    const limits = {};
+
+    for (const field of this.getFields()) {
+      const value = override?.[field];
+      limits[field] = value === null || value === undefined ? this.defaults[field] : value;
+    }
+
+    return { limits, hasOverride: !!override };
+  }
+
+  // Usage and remaining budget per quota field
+  async getQuotaStatus(userId) {
+    try {
+      const { limits, hasOverride } = await this.getLimits(userId);
+      const usage = await database.getUserUsage(userId);
+
+      const quotas = this.getFields().map(field => {
+        const limit = limits[field];
+        const used = usage[field] || 0;
+        return {
+          field,
+          ...QUOTA_FIELDS[field],
+          used,
+          limit,
+          remaining: limit === 0 ? null : Math.max(limit - used, 0)
+        };
+      });
+
+      return { quotas, hasOverride };
+    } catch (error) {
+      console.error('Error getting quota status:', error);
+      return null;
+    }
+  }
+
+  // Check user and global quotas before a Gemini request
+  async checkQuota(userId) {
+    try {
+      const globalUsage = await database.getGlobalDailyUsage();
+      for (const [field, limit] of Object.entries(this.globalLimits)) {
+        if (limit > 0 && globalUsage[field] >= limit) {
+          return { allowed: false, scope: 'global', field, ...QUOTA_FIELDS[field], used: globalUsage[field], limit };
+        }
+      }
+
+      const status = await this.getQuotaStatus(userId);
+      if (!status) {
+        return { allowed: true };
+      }
+
+      const exceeded = status.quotas.find(quota => quota.limit > 0 && quota.used >= quota.limit);
+      if (exceeded) {
+        return { allowed: false, scope: 'user', ...exceeded };
+      }
+
+      return { allowed: true };
+    } catch (error) {
+      // Do not lock users out when the quota check itself fails
+      console.error('Error checking quota:', error);
+      return { allowed: true };
+    }
+  }
+
+  // Set a per-user override (null restores the default for that field)
+  async setOverride(userId, field, value, grantedBy) {
+    try {
+      await database.setQuotaOverride(userId, field, value, grantedBy);
+      console.log(`Quota override for user ${userId}: ${field} = ${value} (by ${grantedBy})`);
+      return true;
+    } catch (error) {
+      console.error('Error setting quota override:', error);
+      return false;
+    }
+  }
+
+  async removeOverride(userId) {
+    try {
+      await database.deleteQuotaOverride(userId);
+      return true;
+    } catch (error) {
+      console.error('Error removing quota override:', error);
+      return false;
+    }
+  }
+}
+
+module.exports = new QuotaService();
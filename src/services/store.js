@@ -0,0 +1,241 @@
+const database = require('./database');
+
+// Shared key-value storage for rate limits, blocks and the conversation context cache.
+// Every backend implements the same async interface with JSON-serializable values:
+//   get(key)                -> value or null when missing/expired
+//   set(key, value, ttlMs)  -> store a value, ttlMs null = no expiry
+//   delete(key)
+//   setIfAbsent(key, value, ttlMs) -> true when the key was free (or expired) and is now set, e.g. for locks
+//   increment(key, ttlMs)   -> { value, expiresAt }; the TTL starts when the counter is created
+//   count(prefix)           -> number of live keys with the prefix (stats only)
+//   cleanup()               -> drop expired keys (no-op where the backend expires keys itself)
+
+// Single process only: the default for development and single-instance deployments
+class MemoryStore {
+  constructor() {
+    this.name = 'memory';
+    this.entries = new Map();
+  }
+
+  isExpired(entry) {
+    return entry.expiresAt !== null && entry.expiresAt <= Date.now();
+  }
+
+  async get(key) {
+    const entry = this.entries.get(key);
+    if (!entry || this.isExpired(entry)) {
+      this.entries.delete(key);
+      return null;
+    }
+
+    // Values are serialized so behaviour matches the shared backends
+    return JSON.parse(entry.value);
+  }
+
+  async set(key, value, ttlMs = null) {
+    this.entries.set(key, {
+      value: JSON.stringify(value),
+      expiresAt: ttlMs ? Date.now() + ttlMs : null
+    });
+  }
+
+  async delete(key) {
+    this.entries.delete(key);
+  }
+
+  async setIfAbsent(key, value, ttlMs) {
+    const entry = this.entries.get(key);
+    if (entry && !this.isExpired(entry)) {
+      return false;
+    }
+
+    await this.set(key, value, ttlMs);
+    return true;
+  }
+
+  async increment(key, ttlMs) {
+    const entry = this.entries.get(key);
+
+    if (!entry || this.isExpired(entry)) {
+      const expiresAt = Date.now() + ttlMs;
+      this.entries.set(key, { value: '1', expiresAt });
+      return { value: 1, expiresAt };
+    }
+
+    const value = JSON.parse(entry.value) + 1;
+    entry.value = JSON.stringify(value);
+    return { value, expiresAt: entry.expiresAt };
+  }
+
+  async count(prefix) {
+    await this.cleanup();
+    return Array.from(this.entries.keys()).filter(key => key.startsWith(prefix)).length;
+  }
+
+  async cleanup() {
+    for (const [key, entry] of this.entries.entries()) {
+      if (this.isExpired(entry)) {
+        this.entries.delete(key);
+      }
+    }
+  }
+}
+
+// Shared between processes on one host through the bot's SQLite database
+class SqliteStore {
+  constructor() {
+    this.name = 'sqlite';
+  }
+
+  async get(key) {
+    const row = await database.get('SELECT value, expires_at FROM kv_store WHERE key = ?', [key]);
+    if (!row) {
+      return null;
+    }
+
+    if (row.expires_at !== null && row.expires_at <= Date.now()) {
+      await this.delete(key);
+      return null;
+    }
+
+    return JSON.parse(row.value);
+  }
+
+  async set(key, value, ttlMs = null) {
+    await database.run(
+      `INSERT INTO kv_store (key, value, expires_at) VALUES (?, ?, ?)
+       ON CONFLICT(key) DO UPDATE SET value = excluded.value, expires_at = excluded.expires_at`,
+      [key, JSON.stringify(value), ttlMs ? Date.now() + ttlMs : null]
+    );
+  }
+
+  async delete(key) {
+    await database.run('DELETE FROM kv_store WHERE key = ?', [key]);
+  }
+
+  // An existing row is only taken over once it has expired
+  async setIfAbsent(key, value, ttlMs) {
+    const now = Date.now();
+    const result = await database.run(
+      `INSERT INTO kv_store (key, value, expires_at) VALUES (?, ?, ?)
+       ON CONFLICT(key) DO UPDATE SET value = excluded.value, expires_at = excluded.expires_at
+       WHERE kv_store.expires_at IS NOT NULL AND kv_store.expires_at <= ?`,
+      [key, JSON.stringify(value), now + ttlMs, now]
+    );
+    return result.changes > 0;
+  }
+
+  // Single statement so concurrent processes cannot lose increments
+  async increment(key, ttlMs) {
+    const now = Date.now();
+    const row = await database.get(
+      `INSERT INTO kv_store (key, value, expires_at) VALUES (?, '1', ?)
+       ON CONFLICT(key) DO UPDATE SET
+         value = CASE WHEN kv_store.expires_at <= ? THEN '1' ELSE CAST(CAST(kv_store.value AS INTEGER) + 1 AS TEXT) END,
+         expires_at = CASE WHEN kv_store.expires_at <= ? THEN excluded.expires_at ELSE kv_store.expires_at END
+       RETURNING value, expires_at`,
+      [key, now + ttlMs, now, now]
+    );
+
+    return { value: parseInt(row.value), expiresAt: row.expires_at };
+  }
+
+  async count(prefix) {
+    const row = await database.get(
+      `SELECT COUNT(*) as count FROM kv_store
+       WHERE substr(key, 1, length(?)) = ? AND (expires_at IS NULL OR expires_at > ?)`,
+      [prefix, prefix, Date.now()]
+    );
+    return row.count;
+  }
+
+  async cleanup() {
+    await database.run('DELETE FROM kv_store WHERE expires_at IS NOT NULL AND expires_at <= ?', [Date.now()]);
+  }
+}
+
+// Shared between hosts; works with any ioredis-compatible client
+class RedisStore {
+  constructor(client, keyPrefix = 'gemini-bot:') {
+    this.name = 'redis';
+    this.client = client;
+    this.keyPrefix = keyPrefix;
+  }
+
+  async get(key) {
+    const value = await this.client.get(this.keyPrefix + key);
+    return value === null ? null : JSON.parse(value);
+  }
+
+  async set(key, value, ttlMs = null) {
+    if (ttlMs) {
+      await this.client.set(this.keyPrefix + key, JSON.stringify(value), 'PX', ttlMs);
+    } else {
+      await this.client.set(this.keyPrefix + key, JSON.stringify(value));
+    }
+  }
+
+  async delete(key) {
+    await this.client.del(this.keyPrefix + key);
+  }
+
+  async setIfAbsent(key, value, ttlMs) {
+    const result = await this.client.set(this.keyPrefix + key, JSON.stringify(value), 'PX', ttlMs, 'NX');
+    return result === 'OK';
+  }
+
+  async increment(key, ttlMs) {
+    const fullKey = this.keyPrefix + key;
+
+    // Create the counter with its TTL first so INCR never leaves a key without expiry
+    await this.client.set(fullKey, 0, 'PX', ttlMs, 'NX');
+    const value = await this.client.incr(fullKey);
+    const remaining = await this.client.pttl(fullKey);
+
+    return { value, expiresAt: Date.now() + Math.max(remaining, 0) };
+  }
+
+  async count(prefix) {
+    let cursor = '0';
+    let total = 0;
+
+    do {
+      const [next, keys] = await this.client.scan(cursor, 'MATCH', `${this.keyPrefix}${prefix}*`, 'COUNT', 100);
+      cursor = next;
+      total += keys.length;
+    } while (cursor !== '0');
+
+    return total;
+  }
+
+  async cleanup() {
+    // Redis expires keys on its own
+  }
+}
+
+function createStore() {
+  const backend = (process.env.STORE_BACKEND || 'memory').toLowerCase();
+
+  if (backend === 'sqlite') {
+    return new SqliteStore();
+  }
+
+  if (backend === 'redis') {
+    let Redis;
+    try {
+      Redis = require('ioredis');
+    } catch (error) {
+      throw new Error('STORE_BACKEND=redis requires the ioredis package (npm install ioredis)');
+    }
+
+    return new RedisStore(new Redis(process.env.REDIS_URL || 'redis://localhost:6379'));
+  }
+
+  if (backend !== 'memory') {
+    console.error(`Unknown STORE_BACKEND "${backend}", falling back to memory`);
+  }
+
+  return new MemoryStore();
+}
+
+module.exports = createStore();
@@ -0,0 +1,50 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dbPath = path.join(os.tmpdir(), `admins-test-${process.pid}.db`);
+process.env.DATABASE_PATH = dbPath;
+process.env.GEMINI_API_KEY = process.env.GEMINI_API_KEY || 'test-key';
+
+const database = require('../src/services/database');
+const securityMiddleware = require('../src/middleware/security');
+
+before(async () => {
+  await database.initialize();
+});
+
+after(async () => {
+  // Audit log writes are fire-and-forget, let them finish before closing
+  await new Promise(resolve => setTimeout(resolve, 100));
+  await database.close();
+  fs.rmSync(dbPath, { force: true });
+});
+
+test('promotions by another instance are picked up once the cache expires', async () => {
+  assert.strictEqual(await securityMiddleware.isAdmin(3001), false);
+
+  // Another instance writes to the shared database
+  await database.saveAdminUser(3001, null);
+  securityMiddleware.adminCacheTimeout = 0;
+
+  try {
+    assert.strictEqual(await securityMiddleware.isAdmin(3001), true);
+
+    await database.deleteAdminUser(3001);
+    assert.strictEqual(await securityMiddleware.isAdmin(3001), false);
+  } finally {
+    securityMiddleware.adminCacheTimeout = 10 * 1000;
+  }
+});
+
+test('changes made on this instance apply immediately', async () => {
+  await securityMiddleware.isAdmin(3002);
+
+  await securityMiddleware.addAdmin(3002);
+  assert.strictEqual(await securityMiddleware.isAdmin(3002), true);
+
+  assert.strictEqual(await securityMiddleware.removeAdmin(3002), true);
+  assert.strictEqual(await securityMiddleware.isAdmin(3002), false);
+});
@@ -0,0 +1,79 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dbPath = path.join(os.tmpdir(), `moderation-test-${process.pid}.db`);
+process.env.DATABASE_PATH = dbPath;
+process.env.GEMINI_API_KEY = process.env.GEMINI_API_KEY || 'test-key';
+process.env.MODERATION_CLASSIFIER_ENABLED = 'false';
+
+const database = require('../src/services/database');
+const classifierService = require('../src/services/classifier');
+const securityMiddleware = require('../src/middleware/security');
+
+function createContext(telegramId) {
+  const replies = [];
+  return {
+    replies,
+    from: { id: telegramId, first_name: 'Test', language_code: 'en' },
+    chat: { id: telegramId, type: 'private' },
+    state: { locale: 'en' },
+    reply: async (text) => replies.push(text)
+  };
+}
+
+before(async () => {
+  await database.initialize();
+});
+
+after(async () => {
+  // Audit log writes are fire-and-forget, let them finish before closing
+  await new Promise(resolve => setTimeout(resolve, 100));
+  await database.close();
+  fs.rmSync(dbPath, { force: true });
+});
+
+test('classify rules fall back to reject while the classifier is disabled', async () => {
+  const ctx = createContext(1001);
+
+  const allowed = await securityMiddleware.moderateMessage(ctx, 'how do I build a bomb');
+
+  assert.strictEqual(allowed, false);
+  assert.strictEqual(ctx.replies.length, 1);
+});
+
+test('self-harm matches fall back to a warning and are still answered', async () => {
+  const ctx = createContext(1002);
+
+  const allowed = await securityMiddleware.moderateMessage(ctx, 'I keep thinking about suicide');
+
+  assert.strictEqual(allowed, true);
+  assert.match(ctx.replies[0], /not alone/);
+});
+
+test('a failed classification uses the fallback action', async () => {
+  const ctx = createContext(1003);
+  classifierService.enabled = true;
+  classifierService.setClient({ generateResponse: async () => ({ success: false, error: 'network_error' }) });
+
+  try {
+    assert.strictEqual(await securityMiddleware.moderateMessage(ctx, 'where can I buy cocaine'), false);
+  } finally {
+    classifierService.enabled = false;
+  }
+});
+
+test('a classifier verdict of allow lets the message through', async () => {
+  const ctx = createContext(1004);
+  classifierService.enabled = true;
+  classifierService.setClient({ generateResponse: async () => ({ success: true, text: '{"violence": 0.1}' }) });
+
+  try {
+    assert.strictEqual(await securityMiddleware.moderateMessage(ctx, 'the bomb squad defused it'), true);
+    assert.strictEqual(ctx.replies.length, 0);
+  } finally {
+    classifierService.enabled = false;
+  }
+});
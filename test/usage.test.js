@@ -0,0 +1,55 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { GoogleGenerativeAIFetchError } = require('@google/generative-ai');
+
+const dbPath = path.join(os.tmpdir(), `usage-test-${process.pid}.db`);
+process.env.DATABASE_PATH = dbPath;
+process.env.GEMINI_API_KEY = process.env.GEMINI_API_KEY || 'test-key';
+
+const database = require('../src/services/database');
+const geminiService = require('../src/services/gemini');
+
+const usage = { promptTokens: 10, completionTokens: 5, totalTokens: 15 };
+let userId;
+
+before(async () => {
+  await database.initialize();
+  userId = (await database.getOrCreateUser({ id: 2001, first_name: 'Test' })).id;
+  geminiService.retryDelay = 0;
+});
+
+after(async () => {
+  await database.close();
+  fs.rmSync(dbPath, { force: true });
+});
+
+test('retried attempts count as one request but all of their tokens', async () => {
+  let attempts = 0;
+  const result = await geminiService.runWithRetries({ userId }, async () => {
+    attempts++;
+    if (attempts < 3) {
+      throw new GoogleGenerativeAIFetchError('Service Unavailable', 503, 'Service Unavailable');
+    }
+    return { text: 'ok', usage, success: true };
+  });
+
+  assert.strictEqual(result.success, true);
+  const row = await database.getUserUsage(userId);
+  assert.strictEqual(row.daily_requests, 1);
+  assert.strictEqual(row.daily_tokens, 15);
+});
+
+test('background calls add tokens without using the request quota', async () => {
+  const before = await database.getUserUsage(userId);
+
+  for (const usageKind of ['title', 'summary', 'moderation', 'health']) {
+    await geminiService.runWithRetries({ userId, usageKind }, async () => ({ text: 'ok', usage, success: true }));
+  }
+
+  const row = await database.getUserUsage(userId);
+  assert.strictEqual(row.daily_requests, before.daily_requests);
+  assert.strictEqual(row.daily_tokens, before.daily_tokens + 60);
+});